@@ -20,38 +20,96 @@
  * background.js — Chrome extension service worker.
  *
  * Receives scraped Nest readings from scraper.js via chrome.runtime.sendMessage
- * and forwards them to the local server.  Running here (rather than in the
+ * and forwards them to the server.  Running here (rather than in the
  * content script) bypasses the Nest page's Content-Security-Policy, which
  * would block fetch calls to non-Nest origins.
  *
- * The server origin must be listed in host_permissions in manifest.json.
+ * The server origin comes from settings.js (edited on the options page).  The
+ * default is listed in host_permissions in manifest.json; any other origin is
+ * granted as an optional host permission when it is saved.  So does the
+ * ingest token, sent as a bearer token with every POST once one is set.
+ *
+ * Several Nest tabs may be open at once, one per thermostat.  Each reading
+ * carries its thermostat's device ID, and the tabs are watched separately.
  *
  * Reliability:
- *   Watchdog alarm (every 6 min): reloads the Nest tab if no reading has been
- *   received in more than WATCHDOG_GRACE_MS.  Cold starts are detected via
- *   WORKER_START_TIME (an in-memory constant that resets on every cold start)
- *   and skipped to avoid spurious reloads.
+ *   Watchdog alarm (every 6 min): reloads any Nest tab that has sent no
+ *   reading for longer than two poll intervals plus a minute (see
+ *   watchdogGraceMs()).  Cold starts are detected via WORKER_START_TIME (an
+ *   in-memory constant that resets on every cold start) and skipped to avoid
+ *   spurious reloads.
  *
  *   Daily reload alarm (~3 am local): proactively reloads the Nest tab once
  *   per day to clear accumulated DOM/JS heap from the long-running SPA.
+ *
+ *   Offline queue: every reading is appended to a queue in
+ *   chrome.storage.local before it is sent, and only removed once the server
+ *   has stored it, so readings survive server restarts and outages (and
+ *   service worker restarts).  The queue is sent oldest first in batches
+ *   whenever a new reading arrives, and on the watchdog alarm with backoff
+ *   while the server stays unreachable.  It is capped at MAX_QUEUED_READINGS,
+ *   dropping the oldest.  Readings the server rejects as invalid are dropped
+ *   one by one; the rest of their batch is still stored.
+ *
+ * Health reports: the content scripts' per-poll diagnostics and errors, tab
+ * reloads, and a heartbeat on every watchdog alarm are sent to the server's
+ * /api/extension/events, so the chart page can show when scraping breaks.
+ * These are best effort: ones that can't be sent are held in memory and
+ * retried with the next, up to MAX_PENDING_REPORTS.  A page snapshot from a
+ * tab where scraping failed outright is uploaded too, at most once per
+ * SNAPSHOT_INTERVAL_MS per thermostat.
  */
 
+importScripts('settings.js');
+
 // Set once per service worker lifetime.  Resets on cold start, which is how
 // we detect that case in the watchdog handler.
 const WORKER_START_TIME = Date.now();
 
-const PREFIX          = "[Nest Scraper / background]";
-const INGEST_URL      = "http://127.0.0.1:51920/api/readings";
+const PREFIX = "[Nest Scraper / background]";
+
+/** Two missed poll cycles plus one minute of grace. */
+function watchdogGraceMs(pollIntervalMs) {
+  return pollIntervalMs * 2 + 60_000;
+}
+
+/** Headers for a POST to the server, with the ingest token if one is set. */
+function postHeaders(ingestToken) {
+  const headers = { "Content-Type": "application/json" };
+  if (ingestToken) headers.Authorization = `Bearer ${ingestToken}`;
+  return headers;
+}
+
+// Tracks the last time a NEST_READING was received from each tab, as
+// tab ID → { time, device }.  In-memory is fine: on a cold start this is
+// empty, but WORKER_START_TIME is fresh so the watchdog skips the stale check
+// until real readings arrive.
+const lastReadingByTab = new Map();
+
+// chrome.storage.local keys for the offline queue and its retry backoff.
+const QUEUE_KEY = 'pendingReadings';
+const RETRY_KEY = 'queueRetry';
+
+// About two weeks of readings from one thermostat.
+const MAX_QUEUED_READINGS = 4032;
+// Readings per POST when draining a backlog.
+const QUEUE_BATCH_SIZE    = 100;
+// Backoff between watchdog retries while the server is unreachable: starts
+// at one watchdog period and doubles up to an hour.
+const RETRY_MIN_MS        = 6 * 60_000;
+const RETRY_MAX_MS        = 60 * 60_000;
+
+// Health reports held while the server is unreachable.
+const MAX_PENDING_REPORTS = 50;
 
-// Must match POLL_INTERVAL_MS in scraper.js.
-const POLL_INTERVAL_MS    = 5 * 60 * 1000;
-// Two missed cycles plus one minute of grace.
-const WATCHDOG_GRACE_MS   = POLL_INTERVAL_MS * 2 + 60_000;
+// A page that stays broken would otherwise be snapshotted every poll.  When
+// each thermostat last had one uploaded is kept in chrome.storage.local.
+const SNAPSHOT_INTERVAL_MS = 6 * 60 * 60_000;
+const SNAPSHOT_TIMES_KEY   = 'snapshotTimes';
 
-// Tracks the last time a NEST_READING was received.  In-memory is fine:
-// on a cold start this is 0, but WORKER_START_TIME is fresh so the watchdog
-// skips the stale check until a real reading arrives.
-let lastReadingTime = 0;
+// Matches thermostat page URLs, capturing the device ID.  Must match
+// THERMOSTAT_PATH_RE in scraper.js.
+const THERMOSTAT_PATH_RE = /\/thermostat\/(DEVICE_[^/?#]+)/;
 
 console.log(PREFIX, "Service worker started.");
 
@@ -86,86 +144,366 @@ function next3amMs() {
 
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name === 'watchdog') {
+    await retryQueueIfDue();
     await handleWatchdog();
+    await sendHeartbeat();
   } else if (alarm.name === 'daily-reload') {
-    await reloadNestTab('Daily reload');
+    const tabs = await reloadNestTab('Daily reload');
+    report(tabs.map(tab => extensionEvent('reload', {
+      device:  tab.url?.match(THERMOSTAT_PATH_RE)?.[1] ?? null,
+      message: 'Daily reload.',
+      details: { reason: 'daily' },
+    })));
   }
 });
 
 async function handleWatchdog() {
+  const { pollIntervalMs } = await loadSettings();
+
   // On a cold start the service worker hasn't had time to receive a reading
   // yet, so lastReading in storage may legitimately look stale.  Skip.
   const workerUptime = Date.now() - WORKER_START_TIME;
-  if (workerUptime < POLL_INTERVAL_MS) {
+  if (workerUptime < pollIntervalMs) {
     console.log(PREFIX, "Watchdog: cold start — skipping stale check.");
     return;
   }
 
-  if (!lastReadingTime) {
+  if (lastReadingByTab.size === 0) {
     console.warn(PREFIX, "Watchdog: no reading received yet — skipping.");
     return;
   }
 
-  const ageMs  = Date.now() - lastReadingTime;
-  const ageMin = Math.round(ageMs / 60_000);
-  if (ageMs > WATCHDOG_GRACE_MS) {
-    console.warn(PREFIX, `Watchdog: last reading was ${ageMin} min ago — reloading Nest tab.`);
-    await reloadNestTab('Watchdog');
-  } else {
-    console.log(PREFIX, `Watchdog: last reading ${ageMin} min ago — OK.`);
+  for (const [tabId, { time, device }] of lastReadingByTab) {
+    const ageMs  = Date.now() - time;
+    const ageMin = Math.round(ageMs / 60_000);
+    if (ageMs > watchdogGraceMs(pollIntervalMs)) {
+      console.warn(PREFIX, `Watchdog: last reading from ${device} was ${ageMin} min ago — reloading tab ${tabId}.`);
+      try {
+        await chrome.tabs.reload(tabId);
+        report([extensionEvent('reload', {
+          device,
+          message: `No reading for ${ageMin} min.`,
+          details: { reason: 'watchdog' },
+        })]);
+      } catch (err) {
+        // The tab was closed without onRemoved reaching us (e.g. while the
+        // worker was asleep).
+        console.warn(PREFIX, `Watchdog: could not reload tab ${tabId}: ${err.message}`);
+        lastReadingByTab.delete(tabId);
+      }
+    } else {
+      console.log(PREFIX, `Watchdog: last reading from ${device} ${ageMin} min ago — OK.`);
+    }
   }
 }
 
-/** Finds all home.nest.com tabs and reloads them. */
+// A closed tab is no longer expected to send readings.
+chrome.tabs.onRemoved.addListener((tabId) => {
+  lastReadingByTab.delete(tabId);
+});
+
+/** Finds all home.nest.com tabs and reloads them.  Returns the tabs. */
 async function reloadNestTab(reason) {
   const tabs = await chrome.tabs.query({ url: 'https://home.nest.com/*' });
   if (tabs.length === 0) {
     console.log(PREFIX, `${reason}: no Nest tab open, nothing to reload.`);
-    return;
   }
   for (const tab of tabs) {
     console.log(PREFIX, `${reason}: reloading tab ${tab.id}.`);
     chrome.tabs.reload(tab.id);
   }
+  return tabs;
 }
 
 // ── Message handler ───────────────────────────────────────────────────────────
 
-chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === "NEST_CLAIMED_DEVICES") {
+    getClaimedDevices(sender.tab?.id).then(devices => sendResponse({ devices }));
+    return true; // keep the message channel open for the async sendResponse
+  }
+
+  if (message.type === "NEST_REPORT") {
+    report(message.events);
+    sendResponse({ ok: true });
+    return;
+  }
+
+  if (message.type === "NEST_SNAPSHOT") {
+    uploadSnapshot(message);
+    sendResponse({ ok: true });
+    return;
+  }
+
   if (message.type !== "NEST_READING") return;
 
-  const { timestamp, data, hvac_action } = message;
+  const { device, timestamp, data, units, hvac_action, thermostat } = message;
 
   // Record the time of this reading so the watchdog can detect silence.
-  lastReadingTime = Date.now();
+  if (sender.tab) {
+    lastReadingByTab.set(sender.tab.id, { time: Date.now(), device });
+  }
 
   // Log every received data point for verification.
-  console.log(PREFIX, `Received reading at ${timestamp} (hvac: ${hvac_action}):`);
+  console.log(PREFIX, `Received reading from ${device} at ${timestamp} (hvac: ${hvac_action}):`);
+  console.log(PREFIX, ` [THERMOSTAT]`, JSON.stringify(thermostat));
   for (const [section, sensors] of Object.entries(data)) {
     console.log(PREFIX, ` [${section}]`);
     for (const [name, value] of Object.entries(sensors)) {
-      console.log(PREFIX, `   ${name}: ${value}`);
+      console.log(PREFIX, `   ${name}: ${value}${units?.[section]?.[name] ?? ''}`);
     }
   }
 
-  // POST to the ingest endpoint.
-  fetch(INGEST_URL, {
-    method:  "POST",
-    headers: { "Content-Type": "application/json" },
-    body:    JSON.stringify({ timestamp, data, hvac_action }),
-  })
-    .then((resp) => {
-      if (resp.ok) {
-        console.log(PREFIX, `Posted reading to server — HTTP ${resp.status}`);
-      } else {
-        console.warn(PREFIX, `Server rejected reading — HTTP ${resp.status}`);
-      }
-    })
+  // Queue it, then send everything queued.  A new reading always triggers a
+  // send attempt regardless of backoff; it's at most one per poll interval.
+  enqueueReading({ device, timestamp, data, units, hvac_action, thermostat })
+    .then(flushQueue)
     .catch((err) => {
-      console.warn(PREFIX, `Failed to post reading: ${err.message}`);
+      console.warn(PREFIX, `Failed to queue reading: ${err.message}`);
     });
 
   // Acknowledge immediately so the content script callback fires without error.
   sendResponse({ ok: true, received: timestamp });
   return true; // keep the message channel open for the async sendResponse
 });
+
+/**
+ * Returns the device IDs of thermostat pages open in Nest tabs other than
+ * exceptTabId, so a newly opened tab can pick a thermostat nobody is logging.
+ */
+async function getClaimedDevices(exceptTabId) {
+  const tabs = await chrome.tabs.query({ url: 'https://home.nest.com/thermostat/*' });
+  return tabs
+    .filter(tab => tab.id !== exceptTabId)
+    .map(tab => tab.url?.match(THERMOSTAT_PATH_RE)?.[1])
+    .filter(Boolean);
+}
+
+// ── Settings changes ──────────────────────────────────────────────────────────
+
+// A new server origin gets the queue sent right away instead of waiting out
+// the backoff earned by the old one.
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if (area !== 'sync' || !changes.serverOrigin) return;
+  console.log(PREFIX, `Server origin changed to ${changes.serverOrigin.newValue}.`);
+  await chrome.storage.local.remove(RETRY_KEY);
+  await flushQueue();
+});
+
+// ── Offline queue ─────────────────────────────────────────────────────────────
+
+// Serializes read-modify-write cycles on the stored queue.
+let queueLock = Promise.resolve();
+
+function withQueueLock(fn) {
+  const run = queueLock.then(fn);
+  queueLock = run.catch(() => {});
+  return run;
+}
+
+async function getQueue() {
+  const { [QUEUE_KEY]: queue = [] } = await chrome.storage.local.get(QUEUE_KEY);
+  return queue;
+}
+
+/** Appends a reading to the stored queue, dropping the oldest if full. */
+function enqueueReading(reading) {
+  return withQueueLock(async () => {
+    const queue   = await getQueue();
+    queue.push(reading);
+    const dropped = queue.splice(0, Math.max(0, queue.length - MAX_QUEUED_READINGS));
+    if (dropped.length) {
+      console.warn(PREFIX, `Queue full — dropped ${dropped.length} oldest reading(s).`);
+    }
+    await chrome.storage.local.set({ [QUEUE_KEY]: queue });
+  });
+}
+
+/** Removes the given readings (matched by device and timestamp) from the queue. */
+function dequeueReadings(sent) {
+  const key  = (r) => `${r.device}|${r.timestamp}`;
+  const done = new Set(sent.map(key));
+  return withQueueLock(async () => {
+    const queue = await getQueue();
+    await chrome.storage.local.set({ [QUEUE_KEY]: queue.filter(r => !done.has(key(r))) });
+  });
+}
+
+// True while flushQueue() is running, so overlapping triggers don't send the
+// same batch twice.
+let flushing = false;
+
+/**
+ * Sends the queue to the server oldest first, one batch at a time, until it
+ * is empty or a send fails.  On failure the queue is kept and a watchdog
+ * retry is scheduled with backoff.
+ */
+async function flushQueue() {
+  if (flushing) return;
+  flushing = true;
+  try {
+    const { serverOrigin, ingestToken } = await loadSettings();
+    let queue = await getQueue();
+    while (queue.length) {
+      const batch = queue.slice(0, QUEUE_BATCH_SIZE);
+
+      let resp;
+      try {
+        resp = await fetch(`${serverOrigin}/api/readings/batch`, {
+          method:  "POST",
+          headers: postHeaders(ingestToken),
+          body:    JSON.stringify({ readings: batch }),
+        });
+      } catch (err) {
+        await scheduleRetry(`Failed to post ${queue.length} queued reading(s): ${err.message}`);
+        return;
+      }
+
+      if (resp.status === 400) {
+        // The server refuses bad readings one by one (see rejected below), so
+        // this is a request it couldn't read at all.  Retrying won't fix it,
+        // and keeping the batch would block everything queued behind it.
+        const { error } = await resp.json().catch(() => ({}));
+        console.error(PREFIX, `Server rejected ${batch.length} reading(s), dropping them: ${error}`);
+        report([extensionEvent('error', {
+          message: `Server rejected ${batch.length} reading(s): ${error}`,
+        })]);
+      } else if (resp.status === 401 || resp.status === 403) {
+        // Kept until the ingest token on the options page is fixed.
+        await scheduleRetry('Server refused the ingest token; check it on the options page');
+        return;
+      } else if (!resp.ok) {
+        await scheduleRetry(`Server refused ${queue.length} queued reading(s) — HTTP ${resp.status}`);
+        return;
+      } else {
+        console.log(PREFIX, `Posted ${batch.length} reading(s) to server — HTTP ${resp.status}`);
+        // The rest were stored; these are dropped like a refused request.
+        const { rejected = [] } = await resp.json().catch(() => ({}));
+        const events = rejected.map(({ index, error }) => {
+          const reading = batch[index] ?? {};
+          console.error(PREFIX, `Server rejected the reading from ${reading.timestamp}, dropping it: ${error}`);
+          return extensionEvent('error', {
+            device:  typeof reading.device === 'string' ? reading.device : undefined,
+            message: `Server rejected the reading from ${reading.timestamp}: ${error}`,
+          });
+        });
+        if (events.length) report(events);
+      }
+
+      await dequeueReadings(batch);
+      queue = await getQueue();
+    }
+    await chrome.storage.local.remove(RETRY_KEY);
+  } finally {
+    flushing = false;
+  }
+}
+
+/** Records a failed send and when the watchdog should next retry. */
+async function scheduleRetry(reason) {
+  const { [RETRY_KEY]: retry } = await chrome.storage.local.get(RETRY_KEY);
+  const delayMs = retry ? Math.min(retry.delayMs * 2, RETRY_MAX_MS) : RETRY_MIN_MS;
+  await chrome.storage.local.set({ [RETRY_KEY]: { delayMs, nextAt: Date.now() + delayMs } });
+  console.warn(PREFIX, `${reason}.  Retrying in ${Math.round(delayMs / 60_000)} min.`);
+}
+
+/** Called from the watchdog alarm: sends the queue if a retry is due. */
+async function retryQueueIfDue() {
+  const queue = await getQueue();
+  if (!queue.length) return;
+
+  const { [RETRY_KEY]: retry } = await chrome.storage.local.get(RETRY_KEY);
+  if (retry && Date.now() < retry.nextAt) {
+    console.log(PREFIX, `Queue: ${queue.length} reading(s) waiting; next retry at ` +
+      new Date(retry.nextAt).toLocaleTimeString());
+    return;
+  }
+  console.log(PREFIX, `Queue: retrying ${queue.length} reading(s).`);
+  await flushQueue();
+}
+
+// ── Health reports ────────────────────────────────────────────────────────────
+
+// Reports not yet accepted by the server, oldest first.  In memory only:
+// they describe the extension's recent state, and a worker restart is itself
+// a fresh start.
+const pendingReports = [];
+
+/** An event for report(), timestamped now. */
+function extensionEvent(kind, fields = {}) {
+  return { kind, timestamp: new Date().toISOString(), ...fields };
+}
+
+/**
+ * Sends events (see health.js on the server) along with any still held from
+ * earlier failures.  Never throws; failures are logged and kept for next time.
+ */
+async function report(events) {
+  pendingReports.push(...events);
+  pendingReports.splice(0, Math.max(0, pendingReports.length - MAX_PENDING_REPORTS));
+  const batch = pendingReports.splice(0);
+  if (!batch.length) return;
+
+  try {
+    const { serverOrigin, ingestToken } = await loadSettings();
+    const resp = await fetch(`${serverOrigin}/api/extension/events`, {
+      method:  "POST",
+      headers: postHeaders(ingestToken),
+      body:    JSON.stringify({ events: batch }),
+    });
+    if (resp.status === 400) {
+      // As with readings, a malformed report won't get better by retrying.
+      const { error } = await resp.json().catch(() => ({}));
+      console.error(PREFIX, `Server rejected ${batch.length} report(s), dropping them: ${error}`);
+    } else if (!resp.ok) {
+      throw new Error(`HTTP ${resp.status}`);
+    }
+  } catch (err) {
+    console.warn(PREFIX, `Failed to send ${batch.length} report(s): ${err.message}`);
+    pendingReports.unshift(...batch);
+    pendingReports.splice(0, Math.max(0, pendingReports.length - MAX_PENDING_REPORTS));
+  }
+}
+
+/** Tells the server the worker is alive, and how it's doing. */
+async function sendHeartbeat() {
+  const { pollIntervalMs } = await loadSettings();
+  const queue = await getQueue();
+  await report([extensionEvent('heartbeat', {
+    details: {
+      version:          chrome.runtime.getManifest().version,
+      queued:           queue.length,
+      tabs:             lastReadingByTab.size,
+      poll_interval_ms: pollIntervalMs,
+    },
+  })]);
+}
+
+/**
+ * Uploads a page snapshot from scraper.js for the server's replay.js, unless
+ * one for the same thermostat went up within SNAPSHOT_INTERVAL_MS.
+ */
+async function uploadSnapshot({ device, timestamp, url, reason, html }) {
+  const { [SNAPSHOT_TIMES_KEY]: times = {} } = await chrome.storage.local.get(SNAPSHOT_TIMES_KEY);
+  const key = device ?? '';
+  if (Date.now() - (times[key] ?? 0) < SNAPSHOT_INTERVAL_MS) {
+    console.log(PREFIX, `Page snapshot from ${device} skipped; one was sent recently.`);
+    return;
+  }
+
+  try {
+    const { serverOrigin, ingestToken } = await loadSettings();
+    const resp = await fetch(`${serverOrigin}/api/extension/snapshots`, {
+      method:  "POST",
+      headers: postHeaders(ingestToken),
+      body:    JSON.stringify({ device, timestamp, url, reason, html }),
+    });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const { id } = await resp.json();
+    times[key] = Date.now();
+    await chrome.storage.local.set({ [SNAPSHOT_TIMES_KEY]: times });
+    console.log(PREFIX, `Uploaded page snapshot #${id} from ${device}.`);
+  } catch (err) {
+    console.warn(PREFIX, `Failed to upload page snapshot from ${device}: ${err.message}`);
+  }
+}
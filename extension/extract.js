@@ -0,0 +1,367 @@
+/**
+ * nest-logger — extract.js — reads readings out of the Nest page's DOM.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * extract.js — reads readings out of the Nest page's DOM.
+ *
+ * Loaded ahead of scraper.js as a content script, and required by the
+ * server's replay.js, which runs it against page snapshots saved when
+ * scraping failed.  So it only reads the document it is given: no waiting,
+ * no messaging, no chrome.* APIs, and text is read with textOf() since
+ * innerText only exists in a real browser.
+ *
+ * The Nest web app's markup is generated and changes without notice, so each
+ * part of the page is found by an ordered list of strategies and the first
+ * that works wins: the exact selectors the page uses today, then looser
+ * matches on partial class names, then the text itself (section headers in
+ * capitals, values with a degree or percent sign).  Results name the
+ * strategies used, so a fallback quietly taking over still gets noticed.
+ */
+
+// The container element that holds the sensor carousel panel.
+const CONTAINER_SELECTOR = '[data-test="thermozilla-aag-carousel-container"]';
+
+// The thermostat card, whose classes and text give the HVAC state, mode,
+// target temperature(s) and fan activity.
+const THERMOSTAT_CARD_SELECTOR = '.cards .card.type-thermostat';
+
+// A carousel section header: a short line in capitals about temperature or
+// humidity, e.g. "TEMPERATURE SENSORS", "INSIDE HUMIDITY", "OUTSIDE TEMP.".
+const SECTION_HEADER_RE = /^(?=.*(?:TEMP|HUMIDITY))[A-Z][A-Z .]{2,39}$/;
+
+// A sensor value as shown: "72°", "21.5°C", "40%", "-5".
+const VALUE_TEXT_RE = /^-?\d+(?:\.\d+)?\s*(?:°\s*[CF]?|%)?$/i;
+
+// ── Utilities ─────────────────────────────────────────────────────────────────
+
+/** An element's visible text where the DOM can say, else its raw text. */
+function textOf(el) {
+  return (el.innerText ?? el.textContent ?? '').trim();
+}
+
+/** The elements under el (itself included) that have text but no element children. */
+function leavesOf(el) {
+  return [el, ...el.querySelectorAll('*')]
+    .filter(e => e.children.length === 0 && textOf(e));
+}
+
+/**
+ * The unit shown with a value: "22°C" → '°C', "72°F" → '°F', "40%" → '%'.
+ * A bare "72°" is in the Nest account's unit, which the page doesn't say,
+ * so the options page's temperatureUnit fills in.  null if there is none.
+ */
+function parseUnit(rawText, temperatureUnit) {
+  if (/°\s*C/i.test(rawText)) return '°C';
+  if (/°\s*F/i.test(rawText)) return '°F';
+  if (rawText.includes('°'))   return temperatureUnit;
+  if (rawText.includes('%'))   return '%';
+  return null;
+}
+
+/** Runs strategies in order; returns { result, strategy } from the first hit, or null. */
+function firstMatch(strategies, ...args) {
+  for (const { name, find } of strategies) {
+    const result = find(...args);
+    if (result) return { result, strategy: name };
+  }
+  return null;
+}
+
+// ── Carousel ──────────────────────────────────────────────────────────────────
+
+/**
+ * The element whose children are the carousel's section headers and sensor
+ * cells, found from a header: the nearest ancestor with a value after it.
+ */
+function containerFromHeaders(root) {
+  const header = leavesOf(root.body ?? root).find(e => SECTION_HEADER_RE.test(textOf(e)));
+  for (let node = header; node?.parentElement; node = node.parentElement) {
+    const siblings = Array.from(node.parentElement.children);
+    const after    = siblings.slice(siblings.indexOf(node) + 1);
+    if (after.some(s => leavesOf(s).some(e => VALUE_TEXT_RE.test(textOf(e))))) {
+      return node.parentElement;
+    }
+  }
+  return null;
+}
+
+const CONTAINER_STRATEGIES = [
+  { name: 'data-test',       find: root => root.querySelector(CONTAINER_SELECTOR) },
+  { name: 'section-headers', find: containerFromHeaders },
+];
+
+/** Finds the carousel; { result: element, strategy } or null. */
+function findContainer(root) {
+  return firstMatch(CONTAINER_STRATEGIES, root);
+}
+
+/** Whether a child of the carousel starts a new section; returns its title. */
+function sectionTitleOf(el) {
+  if (el.tagName === 'HEADER') return textOf(el);
+  const text = textOf(el);
+  return SECTION_HEADER_RE.test(text) ? text : null;
+}
+
+// Each returns { name, rawText } for one sensor cell, or null.
+const ROW_STRATEGIES = [
+  {
+    // The cell contains a row div whose class starts with "style--cellRow_",
+    // holding the title and value.  The suffix after the underscore is a
+    // random compiler-generated hash.
+    name: 'class-prefix',
+    find(cell) {
+      const row     = cell.querySelector('[class*="style--cellRow_"]');
+      const titleEl = row?.querySelector('[class*="style--title_"]');
+      const valueEl = row?.querySelector('[class*="style--value_"]');
+      return titleEl && valueEl ? { name: textOf(titleEl), rawText: textOf(valueEl) } : null;
+    },
+  },
+  {
+    // The first text with a letter in it names the sensor, and the last that
+    // looks like a value is its value.
+    name: 'text',
+    find(cell) {
+      const texts   = leavesOf(cell).map(textOf);
+      const rawText = texts.findLast(t => VALUE_TEXT_RE.test(t));
+      const name    = texts.find(t => /\p{L}/u.test(t) && !VALUE_TEXT_RE.test(t));
+      return name && rawText ? { name, rawText } : null;
+    },
+  },
+];
+
+/**
+ * Walks the children of the carousel container.  Headers introduce a new
+ * section; other children are cells containing one sensor/location row.
+ *
+ * Returns the values, the unit each was shown in (see parseUnit()), a
+ * description of each cell that had to be skipped, and how many rows each
+ * row strategy read:
+ *   {
+ *     data: {
+ *       "TEMPERATURE SENSORS": { "Basement": 80, "Kitchen": 69, … },
+ *       "INSIDE HUMIDITY":     { "Entryway": 40 },
+ *       "OUTSIDE TEMP.":       { "Doreen": 47 },
+ *     },
+ *     units: {
+ *       "TEMPERATURE SENSORS": { "Basement": "°F", "Kitchen": "°F", … },
+ *       …
+ *     },
+ *     skipped: [ 'Could not parse row …', … ],
+ *     rows:    { 'class-prefix': 9 },
+ *   }
+ */
+function readContainer(container, temperatureUnit) {
+  const data    = {};
+  const units   = {};
+  const skipped = [];
+  const rows    = {};
+  let currentSection = null;
+
+  for (const el of container.children) {
+    const title = sectionTitleOf(el);
+    if (title !== null) {
+      currentSection = title;
+      data[currentSection]  = {};
+      units[currentSection] = {};
+      continue;
+    }
+
+    // Skip anything before the first header.
+    if (currentSection === null) continue;
+
+    // A cell no strategy can read is only worth reporting if something in
+    // it looks like a value; otherwise it's a spacer or a button.
+    const match = firstMatch(ROW_STRATEGIES, el);
+    if (!match) {
+      if (leavesOf(el).some(e => VALUE_TEXT_RE.test(textOf(e)))) {
+        skipped.push(`A cell in ${currentSection} has a value but no sensor name: ` +
+          JSON.stringify(textOf(el).slice(0, 80)));
+      }
+      continue;
+    }
+    const { name, rawText } = match.result;
+
+    // Extract a number that may be negative and may have a decimal point.
+    // Strips degree symbols (°), percent signs (%), and other non-numeric
+    // characters, e.g. "72°" → 72, "40%" → 40, "-5" → -5.  The unit they
+    // gave is kept alongside; a bare number in a temperature section is in
+    // the account's unit.
+    const number = rawText.match(/-?\d+(?:\.\d+)?/);
+    const value  = number ? parseFloat(number[0]) : NaN;
+    const unit   = parseUnit(rawText, temperatureUnit) ??
+                   (/TEMP/i.test(currentSection) ? temperatureUnit : null);
+
+    if (name && !isNaN(value)) {
+      data[currentSection][name] = value;
+      if (unit) units[currentSection][name] = unit;
+      rows[match.strategy] = (rows[match.strategy] ?? 0) + 1;
+    } else {
+      skipped.push(`Could not parse row — name: ${JSON.stringify(name)}, ` +
+        `rawText: ${JSON.stringify(rawText)} (in ${currentSection})`);
+    }
+  }
+
+  return { data, units, skipped, rows };
+}
+
+// ── Thermostat card ───────────────────────────────────────────────────────────
+
+const CARD_STRATEGIES = [
+  { name: 'card-class',    find: root => root.querySelector(THERMOSTAT_CARD_SELECTOR) },
+  { name: 'class-partial', find: root => root.querySelector('[class*="type-thermostat"]') },
+  {
+    // The nearest element around a target temperature that has a mode label.
+    name: 'text',
+    find(root) {
+      for (const target of root.querySelectorAll('[class*="target"]')) {
+        let node = target.parentElement;
+        for (let depth = 0; node && depth < 3; depth++, node = node.parentElement) {
+          if (/\b(?:HEAT|COOL|ECO|OFF)\b/i.test(textOf(node))) return node;
+        }
+      }
+      return null;
+    },
+  },
+];
+
+/** Finds the thermostat card; { result: element, strategy } or null. */
+function findThermostatCard(root) {
+  return firstMatch(CARD_STRATEGIES, root);
+}
+
+/**
+ * Reads the current HVAC state from the thermostat card: 'heat', 'cool', or
+ * 'idle'.  The card's heating / cooling class says, or failing that a
+ * "Heating" / "Cooling" label.
+ */
+function readHvacAction(card) {
+  const classes = Array.from(card.classList);
+  if (classes.includes('thermostat-heating')) return 'heat';
+  if (classes.includes('thermostat-cooling')) return 'cool';
+  if (classes.some(c => /heating/i.test(c)))  return 'heat';
+  if (classes.some(c => /cooling/i.test(c)))  return 'cool';
+
+  const text = textOf(card).toUpperCase();
+  if (/\bHEATING\b/.test(text)) return 'heat';
+  if (/\bCOOLING\b/.test(text)) return 'cool';
+  return 'idle';
+}
+
+/**
+ * Reads the thermostat's mode, target temperature(s) and fan activity from
+ * the thermostat card.  Returns an object shaped like:
+ *   { mode: 'heat-cool', heat_setpoint: 68, cool_setpoint: 74, fan: false,
+ *     unit: '°F' }
+ *
+ * mode is one of 'heat', 'cool', 'heat-cool', 'eco' or 'off'.  Any field
+ * that can't be read from the card is null, so a markup change degrades to
+ * missing setpoints rather than a failed reading.  unit is the setpoints'
+ * unit; see parseUnit().
+ */
+function readThermostatState(card, temperatureUnit) {
+  const state = { mode: null, heat_setpoint: null, cool_setpoint: null, fan: null, unit: null };
+
+  // The card labels its mode in capitals, e.g. "HEAT • COOL", "ECO", "OFF".
+  // Check the combined mode before the single ones it contains.
+  const text = textOf(card).toUpperCase();
+  if      (/\bECO\b/.test(text))              state.mode = 'eco';
+  else if (/\bOFF\b/.test(text))              state.mode = 'off';
+  else if (/HEAT\s*[•·\-]\s*COOL/.test(text)) state.mode = 'heat-cool';
+  else if (/\bHEAT/.test(text))               state.mode = 'heat';
+  else if (/\bCOOL/.test(text))               state.mode = 'cool';
+
+  // Target temperatures live in elements whose class mentions "target";
+  // as with the carousel rows, the rest of the class name is a build hash.
+  // In heat·cool (and eco) there are two: the lower is the heat setpoint.
+  const targetTexts = Array.from(card.querySelectorAll('[class*="target"]'))
+    .map(textOf)
+    .filter(text => /-?\d+(?:\.\d+)?/.test(text));
+  const targets = targetTexts.map(text => parseFloat(text.match(/-?\d+(?:\.\d+)?/)[0]));
+  if (targets.length) {
+    // A target shows as a bare number or "68°"; either way it's a temperature.
+    const unit = parseUnit(targetTexts[0], temperatureUnit);
+    state.unit = unit === '°C' || unit === '°F' ? unit : temperatureUnit;
+  }
+  if (targets.length >= 2) {
+    state.heat_setpoint = Math.min(...targets);
+    state.cool_setpoint = Math.max(...targets);
+  } else if (targets.length === 1) {
+    if (state.mode === 'heat') state.heat_setpoint = targets[0];
+    if (state.mode === 'cool') state.cool_setpoint = targets[0];
+  }
+
+  // The fan shows up as a "fan" class or label while it runs.
+  state.fan = Array.from(card.classList).some(c => /fan/i.test(c)) ||
+              /\bFAN\b/.test(text);
+
+  return state;
+}
+
+// ── Whole page ────────────────────────────────────────────────────────────────
+
+/**
+ * Reads everything a reading needs from the page:
+ *   { data, units, skipped, hvac_action, thermostat,
+ *     strategies: { container, card, rows }, fallbacks: [text, …] }
+ * container and card name the strategy that found each (null if none did)
+ * and rows counts rows per row strategy; see readContainer().  Without a
+ * card, hvac_action is 'idle' and every thermostat field is null.
+ * fallbacks describes each part read by something other than its first
+ * strategy, which is the sign the page has changed.
+ */
+function extractReading(root, temperatureUnit) {
+  const container = findContainer(root);
+  const card      = findThermostatCard(root);
+
+  const carousel = container
+    ? readContainer(container.result, temperatureUnit)
+    : { data: {}, units: {}, skipped: [], rows: {} };
+
+  const fallbacks = [];
+  if (container && container.strategy !== CONTAINER_STRATEGIES[0].name) {
+    fallbacks.push(`carousel found by ${container.strategy}`);
+  }
+  if (card && card.strategy !== CARD_STRATEGIES[0].name) {
+    fallbacks.push(`thermostat card found by ${card.strategy}`);
+  }
+  for (const [strategy, count] of Object.entries(carousel.rows)) {
+    if (strategy !== ROW_STRATEGIES[0].name) fallbacks.push(`${count} row(s) read by ${strategy}`);
+  }
+
+  return {
+    data:        carousel.data,
+    units:       carousel.units,
+    skipped:     carousel.skipped,
+    hvac_action: card ? readHvacAction(card.result) : 'idle',
+    thermostat:  card
+      ? readThermostatState(card.result, temperatureUnit)
+      : { mode: null, heat_setpoint: null, cool_setpoint: null, fan: null, unit: null },
+    strategies: {
+      container: container?.strategy ?? null,
+      card:      card?.strategy ?? null,
+      rows:      carousel.rows,
+    },
+    fallbacks,
+  };
+}
+
+// For replay.js.  In the extension this is a plain script sharing globals
+// with scraper.js, like settings.js.
+if (typeof module !== 'undefined') {
+  module.exports = { findContainer, extractReading };
+}
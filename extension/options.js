@@ -0,0 +1,93 @@
+/**
+ * nest-logger — options.js — Chrome extension options page.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * options.js — edits the settings in settings.js.
+ *
+ * Saving a server origin other than the default first asks for an optional
+ * host permission on it, since the service worker can only reach origins it
+ * has been granted.  The permission for the previous origin is released.
+ */
+
+const originInput   = document.getElementById('server-origin');
+const intervalInput = document.getElementById('poll-interval');
+const unitSelect    = document.getElementById('temperature-unit');
+const tokenInput    = document.getElementById('ingest-token');
+const saveButton    = document.getElementById('save');
+const statusEl      = document.getElementById('status');
+
+function showStatus(text, isError = false) {
+  statusEl.textContent = text;
+  statusEl.className   = isError ? 'error' : '';
+}
+
+/** The host permission pattern covering an origin. */
+function originPattern(origin) {
+  return `${origin}/*`;
+}
+
+loadSettings().then(({ serverOrigin, pollIntervalMs, temperatureUnit, ingestToken }) => {
+  originInput.value   = serverOrigin;
+  intervalInput.value = pollIntervalMs / 60_000;
+  unitSelect.value    = temperatureUnit;
+  tokenInput.value    = ingestToken;
+});
+
+saveButton.addEventListener('click', () => {
+  const serverOrigin = parseServerOrigin(originInput.value);
+  if (!serverOrigin) {
+    showStatus('Server address must be an http:// or https:// URL.', true);
+    return;
+  }
+
+  const pollIntervalMs = Math.round(Number(intervalInput.value) * 60_000);
+  if (!(pollIntervalMs >= MIN_POLL_INTERVAL_MS && pollIntervalMs <= MAX_POLL_INTERVAL_MS)) {
+    showStatus(`Poll interval must be between ${MIN_POLL_INTERVAL_MS / 60_000} and ` +
+      `${MAX_POLL_INTERVAL_MS / 60_000} minutes.`, true);
+    return;
+  }
+
+  const temperatureUnit = unitSelect.value;
+  const ingestToken     = tokenInput.value.trim();
+
+  // permissions.request() needs the click's user gesture, so it has to be
+  // the first async call in this handler.
+  const needsPermission = serverOrigin !== DEFAULT_SETTINGS.serverOrigin;
+  const granted = needsPermission
+    ? chrome.permissions.request({ origins: [originPattern(serverOrigin)] })
+    : Promise.resolve(true);
+
+  granted.then(async (ok) => {
+    if (!ok) {
+      showStatus(`Permission to reach ${serverOrigin} was denied; not saved.`, true);
+      return;
+    }
+
+    const previous = await loadSettings();
+    await saveSettings({ serverOrigin, pollIntervalMs, temperatureUnit, ingestToken });
+
+    if (previous.serverOrigin !== serverOrigin &&
+        previous.serverOrigin !== DEFAULT_SETTINGS.serverOrigin) {
+      await chrome.permissions.remove({ origins: [originPattern(previous.serverOrigin)] });
+    }
+    originInput.value = serverOrigin;
+    showStatus('Saved.');
+  }).catch((err) => {
+    showStatus(`Could not save: ${err.message}`, true);
+  });
+});
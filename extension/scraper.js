@@ -26,24 +26,33 @@
  *
  * Flow:
  *   1. If the current URL is NOT a thermostat page (/thermostat/DEVICE_…),
- *      search the DOM for a thermostat link and navigate to it.
+ *      search the DOM for a thermostat link and navigate to it, preferring
+ *      one that no other tab is already on.
  *   2. If the URL IS a thermostat page, wait for the carousel container to
- *      appear, then scrape section headers + sensor rows.
+ *      appear, then scrape section headers + sensor rows (see extract.js).
  *   3. Log the structured reading to the console.
- *   4. Repeat step 2–3 every POLL_INTERVAL_MS (5 minutes).
+ *   4. Repeat step 2–3 every pollIntervalMs (5 minutes by default; see
+ *      settings.js).  A change on the options page restarts the loop.
+ *
+ * Each reading is tagged with the DEVICE_… ID from the URL, so several
+ * thermostats (or homes) can be logged by opening one tab per thermostat.
+ *
+ * Every poll also sends the background worker a report of how the scrape
+ * went (including any fallback it needed), plus an error for anything that
+ * didn't parse or a change in the fallbacks needed, which it passes on to
+ * the server's health page.  That is how a change to the Nest markup gets
+ * noticed.  If nothing at all could be read, a sanitized snapshot of the page
+ * goes to the server too, for its replay.js.
  */
 
 (function () {
   'use strict';
 
   const PREFIX = "[Nest Scraper]";
-  const POLL_INTERVAL_MS = 5 * 60 * 1000;  // 5 minutes
-
-  // Matches URL paths like /thermostat/DEVICE_6416660000FB4E45
-  const THERMOSTAT_PATH_RE = /\/thermostat\/DEVICE_/;
 
-  // The container element that holds the sensor carousel panel.
-  const CONTAINER_SELECTOR = '[data-test="thermozilla-aag-carousel-container"]';
+  // Matches URL paths like /thermostat/DEVICE_6416660000FB4E45, capturing
+  // the device ID (DEVICE_6416660000FB4E45).
+  const THERMOSTAT_PATH_RE = /\/thermostat\/(DEVICE_[^/?#]+)/;
 
   console.log(PREFIX, "Content script loaded. Path:", window.location.pathname);
 
@@ -53,6 +62,11 @@
     return THERMOSTAT_PATH_RE.test(window.location.pathname);
   }
 
+  /** The device ID of a thermostat page URL or path, or null. */
+  function deviceIdOf(urlOrPath) {
+    return urlOrPath.match(THERMOSTAT_PATH_RE)?.[1] ?? null;
+  }
+
   /**
    * Polls predicate() every intervalMs until it returns a truthy value,
    * then resolves with that value.  Rejects after timeoutMs.
@@ -73,20 +87,55 @@
     });
   }
 
+  // ── Reports ────────────────────────────────────────────────────────────────
+
+  /**
+   * Hands events about this tab (see health.js on the server) to the
+   * background worker to send on.  Best effort.
+   */
+  function report(events) {
+    chrome.runtime.sendMessage({ type: "NEST_REPORT", events }, () => {
+      if (chrome.runtime.lastError) {
+        console.warn(PREFIX, "Report not sent:", chrome.runtime.lastError.message);
+      }
+    });
+  }
+
   // ── Navigation ─────────────────────────────────────────────────────────────
 
   /**
-   * Look for a thermostat link in the DOM and navigate to it.
+   * Ask the background worker which devices other tabs are already logging.
+   * Resolves to an empty list if it can't be reached.
+   */
+  function getClaimedDevices() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: "NEST_CLAIMED_DEVICES" }, (response) => {
+        if (chrome.runtime.lastError || !response) {
+          resolve([]);
+        } else {
+          resolve(response.devices);
+        }
+      });
+    });
+  }
+
+  /**
+   * Look for a thermostat link in the DOM and navigate to it.  Prefers a
+   * thermostat that no other tab is on, so opening one home.nest.com tab per
+   * thermostat spreads them across all of them.
    * The link appears after React hydrates, so we poll with waitFor().
    */
   async function navigateToThermostat() {
     console.log(PREFIX, "Searching DOM for a /thermostat/DEVICE_… link...");
-    let link;
+    let links;
     try {
-      link = await waitFor(
-        () => Array.from(document.querySelectorAll('a'))
-               .map(a => a.href)
-               .find(href => href.includes('/thermostat/DEVICE_')),
+      links = await waitFor(
+        () => {
+          const hrefs = Array.from(document.querySelectorAll('a'))
+            .map(a => a.href)
+            .filter(href => href.includes('/thermostat/DEVICE_'));
+          return hrefs.length ? hrefs : null;
+        },
         500,
         15000
       );
@@ -95,147 +144,182 @@
         "Timed out — no thermostat link found in DOM after 15 s.",
         "Make sure you are logged in to home.nest.com and have a thermostat."
       );
+      report([{
+        kind:      'error',
+        timestamp: new Date().toISOString(),
+        message:   "No thermostat link found on the page; the tab may be logged out.",
+      }]);
       return;
     }
+
+    const claimed = await getClaimedDevices();
+    const link    = links.find(href => !claimed.includes(deviceIdOf(href))) ?? links[0];
     console.log(PREFIX, "Navigating to thermostat page:", link);
     window.location.href = link;
   }
 
-  // ── HVAC state ─────────────────────────────────────────────────────────────
+  // ── Scraping ───────────────────────────────────────────────────────────────
 
   /**
-   * Read the current HVAC state from the thermostat card element.
-   * Returns 'heat', 'cool', or 'idle'.
+   * Wait for the carousel to appear (React may still be rendering), then read
+   * the page with extractReading() from extract.js.  Returns null if no
+   * strategy finds the carousel in time.
    */
-  function scrapeHvacAction() {
-    const el = document.querySelector('.cards .card.type-thermostat');
-    if (!el) {
-      console.warn(PREFIX, "Thermostat card element not found — defaulting hvac_action to 'idle'.");
-      return 'idle';
+  async function scrape(temperatureUnit) {
+    try {
+      await waitFor(() => findContainer(document), 500, 15000);
+    } catch {
+      console.error(PREFIX,
+        "Timed out waiting for the carousel container — the page structure may have changed."
+      );
+      return null;
     }
-    if (el.classList.contains('thermostat-heating')) return 'heat';
-    if (el.classList.contains('thermostat-cooling')) return 'cool';
-    return 'idle';
+    return extractReading(document, temperatureUnit);
   }
 
-  // ── Scraping ───────────────────────────────────────────────────────────────
+  // ── Page snapshots ─────────────────────────────────────────────────────────
 
-  /**
-   * Walk the direct children of the carousel container.
-   * <header> elements introduce a new section.
-   * <div> elements are data cells containing one sensor/location row.
-   *
-   * Returns an object shaped like:
-   *   {
-   *     "TEMPERATURE SENSORS": { "Basement": 80, "Kitchen": 69, … },
-   *     "INSIDE HUMIDITY":     { "Entryway": 40 },
-   *     "OUTSIDE TEMP.":       { "Doreen": 47 },
-   *   }
-   */
-  function scrapeContainer(container) {
-    const result = {};
-    let currentSection = null;
-
-    for (const el of container.children) {
-      // Section divider — a plain <header> element.
-      if (el.tagName === "HEADER") {
-        currentSection = el.innerText.trim();
-        result[currentSection] = {};
-        console.log(PREFIX, "  Section:", currentSection);
-        continue;
-      }
-
-      // Skip anything before the first header.
-      if (currentSection === null) continue;
+  // Longer snapshots are cut off; the server refuses anything bigger.
+  const MAX_SNAPSHOT_LENGTH = 2_000_000;
 
-      // The cell contains a row div whose class starts with "style--cellRow_".
-      // The suffix after the underscore is a random compiler-generated hash.
-      const row = el.querySelector('[class*="style--cellRow_"]');
-      if (!row) continue;
-
-      // Sensor / location name — class starts with "style--title_".
-      const titleEl = row.querySelector('[class*="style--title_"]');
-
-      // Numeric value — class starts with "style--value_".
-      const valueEl = row.querySelector('[class*="style--value_"]');
-
-      if (!titleEl || !valueEl) {
-        console.warn(PREFIX, "  Row missing title or value element — skipping.");
-        continue;
-      }
+  // Elements that carry no page structure, and attributes that may carry
+  // tokens or personal details.  Text is kept, since the scraper reads it,
+  // apart from anything that looks like an email address.
+  const SNAPSHOT_DROP_ELEMENTS =
+    'script, noscript, style, link, meta, iframe, object, embed, template, ' +
+    'img, picture, video, audio, canvas';
+  const SNAPSHOT_DROP_ATTRIBUTES =
+    /^(?:on.*|style|src|srcset|value|nonce|integrity|action|formaction|content)$/i;
 
-      const name    = titleEl.innerText.trim();
-      const rawText = valueEl.innerText.trim();
-
-      // Extract a number that may be negative and may have a decimal point.
-      // Strips degree symbols (°), percent signs (%), and other non-numeric
-      // characters, e.g. "72°" → 72, "40%" → 40, "-5" → -5.
-      const match = rawText.match(/-?\d+(?:\.\d+)?/);
-      const value = match ? parseFloat(match[0]) : NaN;
-
-      if (name && !isNaN(value)) {
-        result[currentSection][name] = value;
-        console.log(PREFIX, `    ${name}: ${value}  (raw: "${rawText}")`);
-      } else {
-        console.warn(PREFIX,
-          `  Could not parse row — name: ${JSON.stringify(name)}, rawText: ${JSON.stringify(rawText)}`
-        );
+  /**
+   * The page's HTML, stripped down to its structure and text, for working
+   * out offline why scraping failed.
+   */
+  function snapshotPage() {
+    const clone = document.documentElement.cloneNode(true);
+    clone.querySelectorAll(SNAPSHOT_DROP_ELEMENTS).forEach(el => el.remove());
+    for (const el of clone.querySelectorAll('*')) {
+      for (const { name, value } of Array.from(el.attributes)) {
+        if (SNAPSHOT_DROP_ATTRIBUTES.test(name)) {
+          el.removeAttribute(name);
+        } else if (name === 'href') {
+          el.setAttribute('href', value.replace(/[?#].*$/, ''));
+        }
       }
+      if (el.tagName === 'TEXTAREA') el.textContent = '';
     }
 
-    return result;
+    const walker   = document.createTreeWalker(clone, NodeFilter.SHOW_COMMENT);
+    const comments = [];
+    while (walker.nextNode()) comments.push(walker.currentNode);
+    comments.forEach(c => c.remove());
+
+    const html = '<!DOCTYPE html>\n' +
+      clone.outerHTML.replace(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, 'user@example.com');
+    return html.slice(0, MAX_SNAPSHOT_LENGTH);
   }
 
   /**
-   * Wait for the carousel container to appear (React may still be rendering),
-   * then scrape it.  Returns null if the container never appears.
+   * Hands a snapshot of the page to the background worker, which uploads it
+   * for the server's replay.js (at most every few hours per thermostat).
    */
-  async function scrape() {
-    let container;
-    try {
-      container = await waitFor(
-        () => document.querySelector(CONTAINER_SELECTOR),
-        500,
-        15000
-      );
-    } catch {
-      console.error(PREFIX,
-        "Timed out waiting for carousel container:", CONTAINER_SELECTOR,
-        "— the page structure may have changed."
-      );
-      return null;
-    }
-
-    return scrapeContainer(container);
+  function sendSnapshot(device, timestamp, reason) {
+    const html = snapshotPage();
+    console.warn(PREFIX, `Every strategy failed — sending a ${Math.round(html.length / 1024)} KB page snapshot.`);
+    chrome.runtime.sendMessage(
+      { type: "NEST_SNAPSHOT", device, timestamp, url: window.location.pathname, reason, html },
+      () => {
+        if (chrome.runtime.lastError) {
+          console.warn(PREFIX, "Snapshot not sent:", chrome.runtime.lastError.message);
+        }
+      }
+    );
   }
 
   // ── Poll ───────────────────────────────────────────────────────────────────
 
+  // The fallbacks the last scrape needed, as last reported; see poll().
+  let reportedFallbacks = '';
+
   async function poll() {
-    const ts = new Date().toISOString();
-    console.log(PREFIX, `=== Poll at ${ts} ===`);
+    const ts      = new Date().toISOString();
+    const started = Date.now();
+    const device  = deviceIdOf(window.location.pathname);
+    console.log(PREFIX, `=== Poll at ${ts} (${device}) ===`);
+
+    const { temperatureUnit } = await loadSettings();
+    const scraped = await scrape(temperatureUnit);
 
-    const data        = await scrape();
-    const hvac_action = scrapeHvacAction();
+    const data        = scraped?.data ?? {};
+    const sections    = Object.keys(data);
+    const totalValues = sections.reduce((n, s) => n + Object.keys(data[s]).length, 0);
+
+    // Report how it went, whether or not there is a reading to send.
+    const problems = [];
+    if (!scraped) {
+      problems.push("Timed out waiting for the sensor carousel; " +
+        "no strategy found it, so the page structure has probably changed.");
+    } else {
+      if (!totalValues) problems.push("The sensor carousel had no readable values.");
+      problems.push(...scraped.skipped);
+      if (!scraped.strategies.card) {
+        problems.push("Thermostat card not found; HVAC state and setpoints are missing.");
+      }
+    }
+    for (const problem of problems) console.warn(PREFIX, problem);
+
+    // Fallbacks go in every poll's details, but only a change in which ones
+    // were needed is worth an error; otherwise a page that has changed for
+    // good would fill the health page with the same one every poll.
+    const fallbacks = scraped?.fallbacks ?? [];
+    const used      = fallbacks.join(', ');
+    const errors    = [...problems];
+    if (used) console.warn(PREFIX, `Read with fallbacks: ${used}.`);
+    if (scraped && used !== reportedFallbacks) {
+      if (used) errors.push(`The page has changed; read with fallbacks: ${used}.`);
+      reportedFallbacks = used;
+    }
 
-    if (!data) {
+    const ok = totalValues > 0;
+    report([
+      {
+        kind: 'poll', timestamp: ts, device,
+        message: ok ? null : problems[0],
+        details: {
+          ok,
+          sections:    sections.length,
+          values:      totalValues,
+          skipped:     scraped?.skipped.length ?? 0,
+          duration_ms: Date.now() - started,
+          strategies:  scraped?.strategies ?? null,
+          fallbacks,
+        },
+      },
+      ...errors.map(message => ({ kind: 'error', timestamp: ts, device, message })),
+    ]);
+
+    // Nothing could be read: keep a copy of the page so a fix can be worked
+    // out, and checked, offline.
+    if (!ok) sendSnapshot(device, ts, problems[0]);
+
+    if (!scraped) {
       console.warn(PREFIX, "Scrape returned null — no reading this cycle.");
       return;
     }
+    const { units, hvac_action, thermostat } = scraped;
 
-    const sections    = Object.keys(data);
-    const totalValues = sections.reduce((n, s) => n + Object.keys(data[s]).length, 0);
     console.log(PREFIX,
       `Reading complete: ${sections.length} section(s), ${totalValues} total value(s). ` +
-      `HVAC: ${hvac_action}`
+      `HVAC: ${hvac_action}, thermostat: ${JSON.stringify(thermostat)}`
     );
     console.log(PREFIX, "Reading:", JSON.stringify(data, null, 2));
 
     // Forward to the background service worker, which will send it to the
-    // local server.  The service worker is not bound by the page's CSP, so
-    // it can reach http://127.0.0.1:51920/ even though a fetch from this
-    // content script would be blocked.
-    chrome.runtime.sendMessage({ type: "NEST_READING", timestamp: ts, data, hvac_action },
+    // server.  The service worker is not bound by the page's CSP, so it can
+    // reach the server even though a fetch from this content script would be
+    // blocked.
+    chrome.runtime.sendMessage(
+      { type: "NEST_READING", device, timestamp: ts, data, units, hvac_action, thermostat },
       (response) => {
         if (chrome.runtime.lastError) {
           console.error(PREFIX, "sendMessage failed:", chrome.runtime.lastError.message);
@@ -248,11 +332,24 @@
 
   // ── Entry point ────────────────────────────────────────────────────────────
 
+  let pollTimer = null;
+
+  function startPolling(intervalMs) {
+    clearInterval(pollTimer);
+    console.log(PREFIX, "Starting poll loop (every", intervalMs / 1000, "s).");
+    pollTimer = setInterval(poll, intervalMs);
+  }
+
   if (isOnThermostatPage()) {
-    console.log(PREFIX, "On thermostat page. Starting poll loop (every",
-      POLL_INTERVAL_MS / 1000, "s).");
+    console.log(PREFIX, "On thermostat page.");
     poll();
-    setInterval(poll, POLL_INTERVAL_MS);
+    loadSettings().then(({ pollIntervalMs }) => startPolling(pollIntervalMs));
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'sync' && changes.pollIntervalMs) {
+        startPolling(changes.pollIntervalMs.newValue ?? DEFAULT_SETTINGS.pollIntervalMs);
+      }
+    });
   } else {
     console.log(PREFIX, "Not on thermostat page — will navigate there automatically.");
     navigateToThermostat();
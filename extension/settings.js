@@ -0,0 +1,100 @@
+/**
+ * nest-logger — settings.js — shared extension settings.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * settings.js — shared extension settings.
+ *
+ * Loaded ahead of scraper.js (content script), background.js (via
+ * importScripts) and options.js, so all three agree on the defaults and the
+ * storage format.  Settings live in chrome.storage.sync and are edited on the
+ * options page; every consumer re-reads them on chrome.storage.onChanged.
+ * The ingest token is the exception: it is a secret, and sync would copy it
+ * to the Google account and every synced browser, so it stays in
+ * chrome.storage.local.
+ */
+
+const DEFAULT_SETTINGS = {
+  // Where the nest-logger server runs.  Any origin other than the default
+  // needs an optional host permission, which the options page requests.
+  serverOrigin:   "http://127.0.0.1:51920",
+  // How often the content script scrapes.
+  pollIntervalMs: 5 * 60 * 1000,
+  // The unit the Nest account shows temperatures in ("°F" or "°C").  The
+  // page writes them as a bare "72°", so the scraper can't tell by itself.
+  temperatureUnit: "°F",
+  // Sent with everything posted to the server, once the server has an ingest
+  // token (see the server's tokens.js).  Empty sends none.
+  ingestToken:    "",
+};
+
+// Settings kept in chrome.storage.local rather than synced.
+const LOCAL_SETTING_KEYS = ['ingestToken'];
+
+// Bounds accepted by the options page.
+const MIN_POLL_INTERVAL_MS = 1 * 60 * 1000;
+const MAX_POLL_INTERVAL_MS = 60 * 60 * 1000;
+
+/** Splits settings into those kept in chrome.storage.sync and .local. */
+function splitSettings(settings) {
+  const synced = {};
+  const local  = {};
+  for (const [key, value] of Object.entries(settings)) {
+    (LOCAL_SETTING_KEYS.includes(key) ? local : synced)[key] = value;
+  }
+  return { synced, local };
+}
+
+/** Resolves with the stored settings, filled in with defaults. */
+async function loadSettings() {
+  // Earlier versions synced the token too; move any such copy over first.
+  const legacy = await chrome.storage.sync.get(LOCAL_SETTING_KEYS);
+  if (Object.keys(legacy).length) {
+    const current = await chrome.storage.local.get(LOCAL_SETTING_KEYS);
+    await chrome.storage.local.set({ ...legacy, ...current });
+    await chrome.storage.sync.remove(LOCAL_SETTING_KEYS);
+  }
+
+  const defaults = splitSettings(DEFAULT_SETTINGS);
+  const [synced, local] = await Promise.all([
+    chrome.storage.sync.get(defaults.synced),
+    chrome.storage.local.get(defaults.local),
+  ]);
+  return { ...synced, ...local };
+}
+
+/** Stores settings, each in the storage area it belongs in. */
+async function saveSettings(settings) {
+  const { synced, local } = splitSettings(settings);
+  await chrome.storage.sync.set(synced);
+  await chrome.storage.local.set(local);
+}
+
+/**
+ * Normalizes a user-entered server address to an origin like
+ * "http://192.168.1.10:51920".  Returns null if it isn't an http(s) URL.
+ */
+function parseServerOrigin(input) {
+  let url;
+  try {
+    url = new URL(input.trim());
+  } catch {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+  return url.origin;
+}
@@ -0,0 +1,368 @@
+/**
+ * nest-logger — alerts.js — rules that raise alerts on readings.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * alerts.js — rules that raise alerts on readings.
+ *
+ * Rules live in alert_rules and are managed with rules.js.  There are three
+ * kinds:
+ *
+ *   threshold  a sensor's latest value is above or below a threshold.  It
+ *              clears once the value is back past the threshold by the
+ *              rule's hysteresis, so a value hovering at the line doesn't
+ *              fire over and over.  Sensors are named and merged as on the
+ *              chart (see sensors.js), so a rule can use either the name
+ *              shown there or the one reported.
+ *   hvac       the system has been heating (or cooling) without a break.
+ *   stale      no reading has arrived from a thermostat.
+ *
+ * A rule fires once its condition has held for duration_s, and clears when
+ * it stops holding, or when its subject is no longer observed at all (e.g. a
+ * sensor missing from the latest reading).  Both are logged in alert_events,
+ * sent to the rule's webhook and/or command, and shown on the chart as an
+ * annotation in the 'Alert' category that becomes a range once the alert
+ * clears.
+ *
+ * The server calls evaluateAlerts() after storing readings and on a timer,
+ * since hvac and stale conditions can come true with no new reading.
+ */
+
+const { spawn } = require('child_process');
+const db        = require('./db');
+const { fmtDuration } = require('./format');
+const { SENSOR_LABEL_SQL, SENSOR_NAME_SQL, SENSOR_RULES_SQL } = require('./sensors');
+
+// The annotation category alerts are shown under.
+const ALERT_CATEGORY = 'Alert';
+
+const WEBHOOK_TIMEOUT_MS = 10_000;
+const COMMAND_TIMEOUT_MS = 60_000;
+
+// ── Conditions ────────────────────────────────────────────────────────────────
+//
+// Each returns an observation per subject the rule covers on one device:
+//   { subject, holds, clears, since, at, value, detail }
+// holds says whether the condition is true now and clears whether a firing
+// alert should end.  since is when the condition started holding if the data
+// says (null to count from when it is first seen); a different since from
+// the one recorded means it stopped and started again in between.  at is the
+// time of the data observed, and detail describes it for the alert message.
+
+/**
+ * The sensor a rule's sensor name stands for, as the chart shows it: the one
+ * with that display name, else that reported name, followed to whatever it
+ * is merged into.
+ */
+function resolveSensor(device, section, name) {
+  return db.prepare(`
+    SELECT COALESCE(alias_of, name) FROM sensors
+    WHERE device = @device AND section = @section AND (display_name = @name OR name = @name)
+    ORDER BY display_name IS @name DESC
+    LIMIT 1
+  `).pluck().get({ device, section, name }) ?? name;
+}
+
+function observeThreshold(rule, device) {
+  const sensor = rule.sensor === null ? null : resolveSensor(device, rule.section, rule.sensor);
+  const latest = db.prepare(`
+    SELECT r.section, ${SENSOR_NAME_SQL} AS sensor, ${SENSOR_LABEL_SQL} AS label,
+           AVG(r.value) AS value, MAX(r.unit) AS unit, r.timestamp
+    FROM sensor_readings r
+    ${SENSOR_RULES_SQL}
+    WHERE r.device = @device AND r.section = @section
+      AND (@sensor IS NULL OR ${SENSOR_NAME_SQL} = @sensor)
+      AND r.timestamp = (SELECT MAX(timestamp) FROM sensor_readings WHERE device = @device)
+    GROUP BY ${SENSOR_NAME_SQL}
+  `).all({ device, section: rule.section, sensor });
+
+  const above = rule.comparison === '>';
+  return latest.map(({ section, sensor, label, value, unit, timestamp }) => ({
+    subject: `${section}/${sensor}`,
+    holds:   above ? value > rule.threshold : value < rule.threshold,
+    clears:  above
+      ? value <= rule.threshold - rule.hysteresis
+      : value >= rule.threshold + rule.hysteresis,
+    since:   null,
+    at:      timestamp,
+    value,
+    detail:  `${label} is ${value}${unit ?? ''}, ` +
+             `${above ? 'above' : 'below'} ${rule.threshold}${unit ?? ''}`,
+  }));
+}
+
+function observeHvac(rule, device) {
+  const latest = db.prepare(`
+    SELECT action, timestamp FROM hvac_states
+    WHERE device = ?
+    ORDER BY timestamp DESC LIMIT 1
+  `).get(device);
+  if (!latest) return [];
+
+  // The run began with the first state after the last one that differs.
+  const runStart = db.prepare(`
+    SELECT MIN(timestamp) FROM hvac_states
+    WHERE device = @device AND timestamp > COALESCE(
+      (SELECT MAX(timestamp) FROM hvac_states WHERE device = @device AND action != @action), '')
+  `).pluck().get({ device, action: latest.action });
+
+  const holds = latest.action === rule.action;
+  return [{
+    subject: rule.action,
+    holds,
+    clears:  !holds,
+    since:   runStart,
+    at:      latest.timestamp,
+    value:   null,
+    detail:  `${rule.action === 'heat' ? 'heating' : 'cooling'} for over ${fmtDuration(rule.duration_s)}`,
+  }];
+}
+
+function observeStale(rule, device) {
+  const lastSeen = db.prepare(`
+    SELECT MAX(timestamp) FROM hvac_states WHERE device = ?
+  `).pluck().get(device);
+  if (!lastSeen) return [];
+
+  // Every reading restarts the clock; see since in the note above.
+  return [{
+    subject: '',
+    holds:   true,
+    clears:  false,
+    since:   lastSeen,
+    at:      lastSeen,
+    value:   null,
+    detail:  `no reading for over ${fmtDuration(rule.duration_s)}`,
+  }];
+}
+
+const OBSERVERS = {
+  threshold: observeThreshold,
+  hvac:      observeHvac,
+  stale:     observeStale,
+};
+
+// ── Evaluation ────────────────────────────────────────────────────────────────
+
+const selectState = db.prepare(`
+  SELECT * FROM alert_state WHERE rule_id = ? AND device = ? AND subject = ?
+`);
+const insertState = db.prepare(`
+  INSERT INTO alert_state (rule_id, device, subject, since) VALUES (?, ?, ?, ?)
+`);
+const deleteState = db.prepare(`
+  DELETE FROM alert_state WHERE rule_id = ? AND device = ? AND subject = ?
+`);
+const selectStates = db.prepare(`
+  SELECT * FROM alert_state WHERE rule_id = ? AND device = ?
+`);
+
+/** The devices a rule covers: its own, or every thermostat with an ID. */
+function ruleDevices(rule) {
+  if (rule.device !== null) return [rule.device];
+  return db.prepare(`SELECT id FROM devices WHERE id != '' ORDER BY id`).pluck().all();
+}
+
+function deviceLabel(device) {
+  const name = db.prepare(`SELECT name FROM devices WHERE id = ?`).pluck().get(device);
+  return name ?? device.replace(/^DEVICE_/, '');
+}
+
+function fire(rule, device, state, observation, firedAt) {
+  const message = `${rule.name}: ${observation.detail}` +
+    (device ? ` (${deviceLabel(device)})` : '');
+
+  const annotation = { timestamp: firedAt, end_timestamp: null, note: message, category: ALERT_CATEGORY };
+  annotation.id = Number(db.prepare(`
+    INSERT INTO annotations (timestamp, end_timestamp, note, category)
+    VALUES (@timestamp, @end_timestamp, @note, @category)
+  `).run(annotation).lastInsertRowid);
+
+  const event = {
+    rule_id: rule.id, device, subject: state.subject, fired_at: firedAt, cleared_at: null,
+    value: observation.value, message, annotation_id: annotation.id,
+  };
+  event.id = Number(db.prepare(`
+    INSERT INTO alert_events (rule_id, device, subject, fired_at, value, message, annotation_id)
+    VALUES (@rule_id, @device, @subject, @fired_at, @value, @message, @annotation_id)
+  `).run(event).lastInsertRowid);
+
+  db.prepare(`
+    UPDATE alert_state SET event = ? WHERE rule_id = ? AND device = ? AND subject = ?
+  `).run(event.id, rule.id, device, state.subject);
+  return { state: 'firing', rule, event, annotation };
+}
+
+function clear(rule, state, clearedAt) {
+  const event = db.prepare(`SELECT * FROM alert_events WHERE id = ?`).get(state.event);
+  event.cleared_at = clearedAt;
+  db.prepare(`UPDATE alert_events SET cleared_at = ? WHERE id = ?`).run(clearedAt, event.id);
+
+  // The annotation becomes a range over the time the alert was firing,
+  // unless it has since been deleted from the chart.
+  let annotation = null;
+  if (clearedAt > event.fired_at) {
+    db.prepare(`UPDATE annotations SET end_timestamp = ? WHERE id = ?`).run(clearedAt, event.annotation_id);
+    annotation = db.prepare(`
+      SELECT id, timestamp, end_timestamp, note, category FROM annotations WHERE id = ?
+    `).get(event.annotation_id) ?? null;
+  }
+  return { state: 'cleared', rule, event, annotation };
+}
+
+/**
+ * Brings one subject's alert_state up to date with an observation, firing or
+ * clearing as needed.  Returns the transitions made.
+ */
+function step(rule, device, observation, nowMs) {
+  const { subject } = observation;
+  const transitions = [];
+  let state = selectState.get(rule.id, device, subject);
+  const sameRun = state && (observation.since === null || observation.since === state.since);
+
+  if (state?.event && (!sameRun || observation.clears)) {
+    transitions.push(clear(rule, state, observation.since ?? observation.at));
+    deleteState.run(rule.id, device, subject);
+    state = null;
+  } else if (state && !state.event && (!sameRun || !observation.holds)) {
+    deleteState.run(rule.id, device, subject);
+    state = null;
+  }
+
+  if (!state && observation.holds) {
+    const since = observation.since ?? observation.at;
+    insertState.run(rule.id, device, subject, since);
+    state = { subject, since, event: null };
+  }
+
+  if (state && !state.event) {
+    const firedMs = new Date(state.since).getTime() + rule.duration_s * 1000;
+    if (firedMs <= nowMs) {
+      transitions.push(fire(rule, device, state, observation, new Date(firedMs).toISOString()));
+    }
+  }
+  return transitions;
+}
+
+/**
+ * Ends the alerts of subjects a rule no longer observes, e.g. a sensor
+ * missing from the latest reading, which would otherwise stay firing.  They
+ * clear as of the data observed instead.  Returns the transitions made.
+ */
+function stepAbsent(rule, device, observations, nowMs) {
+  const observed = new Set(observations.map(o => o.subject));
+  const at = observations[0]?.at ?? new Date(nowMs).toISOString();
+  const transitions = [];
+  for (const state of selectStates.all(rule.id, device)) {
+    if (observed.has(state.subject)) continue;
+    if (state.event) transitions.push(clear(rule, state, at));
+    deleteState.run(rule.id, device, state.subject);
+  }
+  return transitions;
+}
+
+/**
+ * Checks every enabled rule against the latest data, recording and sending
+ * whatever fires or clears.  Returns those transitions, each
+ *   { state: 'firing' | 'cleared', rule, event, annotation }
+ * where annotation is the chart annotation added or updated (or null).
+ */
+function evaluateAlerts(nowMs = Date.now()) {
+  const rules = db.prepare(`SELECT * FROM alert_rules WHERE enabled = 1 ORDER BY id`).all();
+
+  const transitions = db.transaction(() => {
+    const result = [];
+    for (const rule of rules) {
+      for (const device of ruleDevices(rule)) {
+        const observations = OBSERVERS[rule.kind](rule, device);
+        for (const observation of observations) {
+          result.push(...step(rule, device, observation, nowMs));
+        }
+        result.push(...stepAbsent(rule, device, observations, nowMs));
+      }
+    }
+    return result;
+  })();
+
+  for (const transition of transitions) notify(transition);
+  return transitions;
+}
+
+// ── Delivery ──────────────────────────────────────────────────────────────────
+
+/**
+ * Sends a transition to the rule's webhook (as a JSON POST) and runs its
+ * command (with the same JSON on stdin and NEST_ALERT_* variables set).
+ * Failures are logged; they don't affect the alert's state.
+ */
+function notify({ state, rule, event }) {
+  const payload = {
+    state,
+    rule:       { id: rule.id, name: rule.name, kind: rule.kind },
+    device:     event.device,
+    subject:    event.subject,
+    value:      event.value,
+    message:    event.message,
+    fired_at:   event.fired_at,
+    cleared_at: event.cleared_at,
+  };
+
+  if (rule.webhook_url) {
+    fetch(rule.webhook_url, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify(payload),
+      signal:  AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    }).then((resp) => {
+      if (!resp.ok) console.warn(`[alerts] Webhook for "${rule.name}" returned HTTP ${resp.status}.`);
+    }).catch((err) => {
+      console.warn(`[alerts] Webhook for "${rule.name}" failed: ${err.message}`);
+    });
+  }
+
+  if (rule.command) {
+    const child = spawn(rule.command, {
+      shell:   true,
+      stdio:   ['pipe', 'inherit', 'inherit'],
+      timeout: COMMAND_TIMEOUT_MS,
+      env: {
+        ...process.env,
+        NEST_ALERT_STATE:   state,
+        NEST_ALERT_RULE:    rule.name,
+        NEST_ALERT_DEVICE:  event.device,
+        NEST_ALERT_SUBJECT: event.subject,
+        NEST_ALERT_VALUE:   event.value === null ? '' : String(event.value),
+        NEST_ALERT_MESSAGE: event.message,
+      },
+    });
+    child.on('error', (err) => {
+      console.warn(`[alerts] Command for "${rule.name}" failed: ${err.message}`);
+    });
+    child.on('exit', (code, signal) => {
+      if (code) console.warn(`[alerts] Command for "${rule.name}" exited with status ${code}.`);
+      if (signal) console.warn(`[alerts] Command for "${rule.name}" was killed (${signal}).`);
+    });
+    // A command that doesn't read its input closes stdin early; ignore that.
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(payload));
+  }
+}
+
+module.exports = {
+  ALERT_CATEGORY,
+  evaluateAlerts,
+};
@@ -0,0 +1,239 @@
+/**
+ * nest-logger — analytics.js — HVAC runtime against the weather.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * analytics.js — HVAC runtime against the weather.
+ *
+ * Sums a thermostat's heating and cooling per local day and week: runtime,
+ * the number of cycles (runs started), and heating / cooling degree-days
+ * from the 'OUTSIDE TEMP.' weather series.  A degree-day is one degree of
+ * the day's mean outside temperature below (heating) or above (cooling) a
+ * base, 65°F by default, so runtime per degree-day can be compared between
+ * winters with different weather.
+ *
+ * Runtime and the weather come from the hourly rollups, which outlive pruned
+ * raw readings, so this works over the whole history.  Days are split in
+ * the browser's time zone at the hour, which is exact for every zone with
+ * whole-hour offsets.  Cycles come from hvac_states, which keeps every
+ * change even after pruning.
+ */
+
+const db = require('./db');
+const { HOUR_MS } = require('./rollups');
+
+const OUTSIDE_SECTION = 'OUTSIDE TEMP.';
+
+const DEFAULT_BASE_F = 65;
+
+// A day's degree-days need this many hours of outside temperatures, and a
+// day only counts towards the per-season figures with this much runtime
+// data and a full complement of weather.
+const MIN_OUTSIDE_HOURS  = 12;
+const MIN_COMPLETE_DAY_S = 22 * 60 * 60;
+
+/**
+ * Returns a function giving the local date ("2026-01-31") of a UTC ms time
+ * in time zone tz, or null if tz isn't an IANA time zone name.
+ */
+function localDateFormatter(tz) {
+  let format;
+  try {
+    // en-CA writes dates as YYYY-MM-DD.
+    format = new Intl.DateTimeFormat('en-CA', {
+      timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit',
+    });
+  } catch {
+    return null;
+  }
+  return ms => format.format(ms);
+}
+
+/** Whether tz is a time zone name queryAnalytics() accepts. */
+function isTimeZone(tz) {
+  return localDateFormatter(tz) !== null;
+}
+
+/** The Monday starting the week holding a "YYYY-MM-DD" date. */
+function weekOf(date) {
+  const ms  = Date.parse(`${date}T00:00:00Z`);
+  const day = (new Date(ms).getUTCDay() + 6) % 7;  // Monday = 0
+  return new Date(ms - day * 24 * HOUR_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * The season a day's heating or cooling counts towards: heating seasons run
+ * July to June, so a winter isn't split at New Year ("2025–26"), and cooling
+ * seasons are calendar years ("2026").
+ */
+function seasonOf(date, kind) {
+  const year = Number(date.slice(0, 4));
+  if (kind === 'cool') return String(year);
+  const start = Number(date.slice(5, 7)) >= 7 ? year : year - 1;
+  return `${start}–${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Returns runtime and degree-days for device over [fromMs, toMs) (null =
+ * unbounded), split into days in time zone tz:
+ *
+ *   { device, tz, base_f,
+ *     days:    [{ date, heat_s, cool_s, idle_s, heat_cycles, cool_cycles,
+ *                 outside_mean, outside_hours, hdd, cdd, complete,
+ *                 heat_season, cool_season }],
+ *     weeks:   [{ week, days, heat_s, cool_s, heat_cycles, cool_cycles, hdd, cdd }],
+ *     seasons: [{ kind, season, days, runtime_s, degree_days, per_degree_day_s }] }
+ *
+ * Temperatures and degree-days are in °F.  hdd and cdd are null for days
+ * with too little weather; complete says whether a day is covered well
+ * enough to count towards its season.  weeks start on Monday; days without
+ * degree-days add nothing to theirs.  seasons give runtime per degree-day
+ * over each heating and cooling season.  tz must pass isTimeZone().
+ */
+function queryAnalytics({ device, fromMs = null, toMs = null, tz = 'UTC', baseF = DEFAULT_BASE_F }) {
+  const localDate = localDateFormatter(tz);
+
+  const params = {
+    device,
+    from: fromMs === null ? '' : new Date(fromMs).toISOString(),
+    to:   toMs   === null ? '9999' : new Date(toMs).toISOString(),
+    resolution: HOUR_MS,
+  };
+
+  const days = new Map();
+  const dayOf = (date) => {
+    if (!days.has(date)) {
+      days.set(date, {
+        date, heat_s: 0, cool_s: 0, idle_s: 0, heat_cycles: 0, cool_cycles: 0,
+        outside_sum: 0, outside_hours: 0,
+      });
+    }
+    return days.get(date);
+  };
+
+  const hvacHours = db.prepare(`
+    SELECT bucket, heat_s, cool_s, idle_s FROM hvac_rollups
+    WHERE device = @device AND resolution = @resolution AND bucket >= @from AND bucket < @to
+  `).iterate(params);
+  for (const { bucket, heat_s, cool_s, idle_s } of hvacHours) {
+    const day = dayOf(localDate(Date.parse(bucket)));
+    day.heat_s += heat_s;
+    day.cool_s += cool_s;
+    day.idle_s += idle_s;
+  }
+
+  // Each hour's mean, over every sensor in the section.
+  const outsideHours = db.prepare(`
+    SELECT bucket, SUM(mean * samples) / SUM(samples) AS mean FROM sensor_rollups
+    WHERE device = @device AND resolution = @resolution AND section = '${OUTSIDE_SECTION}'
+      AND bucket >= @from AND bucket < @to
+    GROUP BY bucket
+  `).iterate(params);
+  for (const { bucket, mean } of outsideHours) {
+    const day = dayOf(localDate(Date.parse(bucket)));
+    day.outside_sum += mean;
+    day.outside_hours++;
+  }
+
+  // A cycle starts wherever heating or cooling follows any other state.
+  let previous = db.prepare(`
+    SELECT action FROM hvac_states WHERE device = @device AND timestamp < @from
+    ORDER BY timestamp DESC LIMIT 1
+  `).pluck().get(params) ?? null;
+  const states = db.prepare(`
+    SELECT timestamp, action FROM hvac_states
+    WHERE device = @device AND timestamp >= @from AND timestamp < @to
+    ORDER BY timestamp
+  `).iterate(params);
+  for (const { timestamp, action } of states) {
+    if ((action === 'heat' || action === 'cool') && action !== previous) {
+      dayOf(localDate(Date.parse(timestamp)))[`${action}_cycles`]++;
+    }
+    previous = action;
+  }
+
+  const dayRows = Array.from(days.values())
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(({ outside_sum, ...day }) => {
+      const mean = day.outside_hours ? outside_sum / day.outside_hours : null;
+      const enough = day.outside_hours >= MIN_OUTSIDE_HOURS;
+      return {
+        ...day,
+        outside_mean: mean === null ? null : Math.round(mean * 10) / 10,
+        hdd:          enough ? Math.round(Math.max(0, baseF - mean) * 10) / 10 : null,
+        cdd:          enough ? Math.round(Math.max(0, mean - baseF) * 10) / 10 : null,
+        complete:     enough && day.heat_s + day.cool_s + day.idle_s >= MIN_COMPLETE_DAY_S,
+        heat_season:  seasonOf(day.date, 'heat'),
+        cool_season:  seasonOf(day.date, 'cool'),
+      };
+    });
+
+  const weeks = new Map();
+  for (const day of dayRows) {
+    const key = weekOf(day.date);
+    if (!weeks.has(key)) {
+      weeks.set(key, {
+        week: key, days: 0, heat_s: 0, cool_s: 0, heat_cycles: 0, cool_cycles: 0, hdd: 0, cdd: 0,
+      });
+    }
+    const week = weeks.get(key);
+    week.days++;
+    for (const field of ['heat_s', 'cool_s', 'heat_cycles', 'cool_cycles', 'hdd', 'cdd']) {
+      week[field] += day[field] ?? 0;
+    }
+  }
+  for (const week of weeks.values()) {
+    week.hdd = Math.round(week.hdd * 10) / 10;
+    week.cdd = Math.round(week.cdd * 10) / 10;
+  }
+
+  // Only complete days that needed heating (or cooling) count, so mild days
+  // with no load don't dilute the ratio.
+  const seasons = new Map();
+  for (const day of dayRows.filter(d => d.complete)) {
+    for (const [kind, degreeDays, runtime] of [['heat', day.hdd, day.heat_s], ['cool', day.cdd, day.cool_s]]) {
+      if (!degreeDays) continue;
+      const key = `${kind} ${day[`${kind}_season`]}`;
+      if (!seasons.has(key)) {
+        seasons.set(key, { kind, season: day[`${kind}_season`], days: 0, runtime_s: 0, degree_days: 0 });
+      }
+      const season = seasons.get(key);
+      season.days++;
+      season.runtime_s   += runtime;
+      season.degree_days += degreeDays;
+    }
+  }
+
+  return {
+    device,
+    tz,
+    base_f:  baseF,
+    days:    dayRows,
+    weeks:   Array.from(weeks.values()),
+    seasons: Array.from(seasons.values()).map(s => ({
+      ...s,
+      degree_days:      Math.round(s.degree_days * 10) / 10,
+      per_degree_day_s: Math.round(s.runtime_s / s.degree_days),
+    })),
+  };
+}
+
+module.exports = {
+  DEFAULT_BASE_F,
+  isTimeZone,
+  queryAnalytics,
+};
@@ -0,0 +1,174 @@
+/**
+ * nest-logger — auth.js — access tokens for the server's APIs.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * auth.js — access tokens for the server's APIs.
+ *
+ * Tokens are made with tokens.js and kept in access_tokens as SHA-256
+ * hashes, so the database alone can't be used to sign in.  Each grants one
+ * kind of access:
+ *
+ *   ingest  posting readings, and the extension's reports about itself.
+ *           The extension sends it from its options page.
+ *   read    the chart: readings, annotations, exports, health and live
+ *           updates.
+ *   write   as read, plus adding, editing and deleting annotations and
+ *           naming thermostats.
+ *
+ * Access is only checked once a token for it exists: ingest once there is
+ * an ingest token, and the chart once there is a read or write token.  A
+ * server without tokens works as it always has, which is fine as long as
+ * it only listens on localhost.
+ *
+ * Scripts send a token as "Authorization: Bearer TOKEN".  Browsers can't add
+ * that to the chart's requests (EventSource has no headers), so opening the
+ * chart at /?token=TOKEN stores it in a cookie instead.
+ */
+
+const crypto = require('crypto');
+const db     = require('./db');
+
+const ACCESS_KINDS = ['ingest', 'read', 'write'];
+
+const TOKEN_BYTES = 24;
+
+const COOKIE_NAME      = 'nest_logger_token';
+const COOKIE_MAX_AGE_S = 365 * 24 * 60 * 60;
+
+// last_used_at is only rewritten this often, so a chart tab polling away
+// doesn't write to the database on every request.
+const TOUCH_INTERVAL_MS = 60_000;
+
+/** The stored form of a token. */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Adds a token and returns { id, token }.  The token itself is only ever
+ * seen here; the database keeps its hash.
+ */
+function createToken(name, access) {
+  const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+  const id = Number(db.prepare(`
+    INSERT INTO access_tokens (name, access, hash, created_at) VALUES (?, ?, ?, ?)
+  `).run(name, access, hashToken(token), new Date().toISOString()).lastInsertRowid);
+  return { id, token };
+}
+
+const selectToken = db.prepare(`SELECT * FROM access_tokens WHERE hash = ?`);
+
+const touchToken = db.prepare(`
+  UPDATE access_tokens SET last_used_at = @now
+  WHERE id = @id AND (last_used_at IS NULL OR last_used_at < @stale)
+`);
+
+/** The access_tokens row for a token, or null if it isn't one. */
+function findToken(token) {
+  if (!token) return null;
+  const row = selectToken.get(hashToken(token));
+  if (!row) return null;
+  const now = Date.now();
+  touchToken.run({
+    id:    row.id,
+    now:   new Date(now).toISOString(),
+    stale: new Date(now - TOUCH_INTERVAL_MS).toISOString(),
+  });
+  return row;
+}
+
+const countTokens = db.prepare(`
+  SELECT COUNT(*) FROM access_tokens WHERE access IN (SELECT value FROM json_each(?))
+`).pluck();
+
+/** Whether a token is needed for this kind of access. */
+function isRequired(kind) {
+  const kinds = kind === 'ingest' ? ['ingest'] : ['read', 'write'];
+  return countTokens.get(JSON.stringify(kinds)) > 0;
+}
+
+/** Whether a token of access `access` allows `kind`. */
+function grants(access, kind) {
+  return access === kind || (access === 'write' && kind === 'read');
+}
+
+/**
+ * The token a request carries, from its Authorization header or cookie.  A
+ * cookie that isn't validly encoded counts as no token.
+ */
+function tokenFromRequest(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') ?? '');
+  if (match) return match[1];
+  for (const pair of (req.get('Cookie') ?? '').split(';')) {
+    const [name, ...value] = pair.trim().split('=');
+    if (name !== COOKIE_NAME) continue;
+    try {
+      return decodeURIComponent(value.join('='));
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+/** Express middleware refusing requests without a token for `kind`. */
+function requireAccess(kind) {
+  return (req, res, next) => {
+    if (!isRequired(kind)) return next();
+    const token = tokenFromRequest(req);
+    const row   = findToken(token);
+    if (!row) {
+      return res.status(401).json({
+        error: token ? 'Unknown or revoked token.' : `This needs a token with ${kind} access; see tokens.js.`,
+      });
+    }
+    if (!grants(row.access, kind)) {
+      return res.status(403).json({ error: `A ${row.access} token can't do this; it needs ${kind} access.` });
+    }
+    next();
+  };
+}
+
+/**
+ * Express middleware for the chart page: /?token=TOKEN checks the token,
+ * keeps it in a cookie, and redirects to / so it doesn't stay in the
+ * address bar or history.
+ */
+function signIn(req, res, next) {
+  const { token } = req.query;
+  if (typeof token !== 'string') return next();
+  const row = findToken(token);
+  if (!row || !grants(row.access, 'read')) {
+    return res.status(401).type('text').send('Unknown or revoked token, or not a read or write token.');
+  }
+  res.cookie(COOKIE_NAME, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure:   req.secure,
+    maxAge:   COOKIE_MAX_AGE_S * 1000,
+  });
+  res.redirect('/');
+}
+
+module.exports = {
+  ACCESS_KINDS,
+  createToken,
+  isRequired,
+  requireAccess,
+  signIn,
+};
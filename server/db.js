@@ -17,42 +17,480 @@
  */
 
 /**
- * db.js — shared SQLite connection and schema.
+ * db.js — shared SQLite connection and schema migrations.
  *
- * Imported by server.js and seed.js.  Whoever imports it first gets a fully
- * initialized database — tables are created on first open, so there is no
- * required startup order between scripts.
+ * Imported by server.js, seed.js, import.js, rules.js, replay.js and
+ * tokens.js.  Whoever imports it first gets a fully migrated database, so
+ * there is no required startup order between scripts.
+ *
+ * The schema is built by MIGRATIONS, applied in order.  PRAGMA user_version
+ * records how many have been applied; each runs in its own transaction
+ * together with the bump, so a failure leaves the database at the previous
+ * version.  Before migrating an existing database a copy is written next to
+ * it.  A database migrated by newer code than this is refused rather than
+ * risk writing rows it doesn't expect.
+ *
+ * To change the schema, append a migration.  Never edit one that has shipped.
  */
 
 const path     = require('path');
 const Database = require('better-sqlite3');
 
-const db = new Database(path.join(__dirname, 'nest.db'));
+// NEST_LOGGER_DB overrides the database location, relative to the working
+// directory.  Defaults to nest.db next to this file.
+const DB_PATH = process.env.NEST_LOGGER_DB
+  ? path.resolve(process.env.NEST_LOGGER_DB)
+  : path.join(__dirname, 'nest.db');
+
+const db = new Database(DB_PATH);
 
 // WAL mode gives much better concurrent write throughput — important once the
 // extension starts posting readings while the chart page is being served.
 db.pragma('journal_mode = WAL');
 
-db.exec(`
-  CREATE TABLE IF NOT EXISTS sensor_readings (
-    timestamp  TEXT NOT NULL,
-    section    TEXT NOT NULL,
-    sensor     TEXT NOT NULL,
-    value      REAL NOT NULL,
-    PRIMARY KEY (timestamp, section, sensor)
-  );
-
-  CREATE TABLE IF NOT EXISTS hvac_states (
-    timestamp  TEXT PRIMARY KEY,
-    action     TEXT NOT NULL
-  );
-
-  CREATE INDEX IF NOT EXISTS idx_sr_timestamp ON sensor_readings(timestamp);
-
-  CREATE TABLE IF NOT EXISTS annotations (
-    timestamp  TEXT PRIMARY KEY,
-    note       TEXT NOT NULL
-  );
-`);
+function tableExists(name) {
+  return !!db.prepare(`
+    SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?
+  `).get(name);
+}
+
+function hasColumn(table, column) {
+  return !!db.prepare(`
+    SELECT 1 FROM pragma_table_info(?) WHERE name = ?
+  `).get(table, column);
+}
+
+/**
+ * Replaces a table with a new definition, copying its rows across.
+ * SQLite can't change a primary key in place, so this renames the old table
+ * aside, creates the new one with createSql and copies the columns they share
+ * plus any extra (column → SQL expression) given.
+ */
+function rebuildTable(table, createSql, extra = {}) {
+  db.exec(`ALTER TABLE ${table} RENAME TO ${table}_old`);
+  db.exec(createSql);
+
+  const newColumns = db.prepare(`SELECT name FROM pragma_table_info(?)`).pluck().all(table);
+  const shared     = newColumns.filter(c => c in extra || hasColumn(`${table}_old`, c));
+  db.exec(`
+    INSERT INTO ${table} (${shared.join(', ')})
+    SELECT ${shared.map(c => extra[c] ?? c).join(', ')} FROM ${table}_old;
+    DROP TABLE ${table}_old;
+  `);
+}
+
+// ── Migrations ────────────────────────────────────────────────────────────────
+//
+// Databases from before versioning start at user_version 0 but may already
+// have some of these changes, so migrations 1–4 check before acting.  Later
+// ones can assume the previous version's schema exactly.
+
+const MIGRATIONS = [
+  // 1: The original schema.
+  () => db.exec(`
+    CREATE TABLE IF NOT EXISTS sensor_readings (
+      timestamp  TEXT NOT NULL,
+      section    TEXT NOT NULL,
+      sensor     TEXT NOT NULL,
+      value      REAL NOT NULL,
+      PRIMARY KEY (timestamp, section, sensor)
+    );
+
+    CREATE TABLE IF NOT EXISTS hvac_states (
+      timestamp  TEXT PRIMARY KEY,
+      action     TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_sr_timestamp ON sensor_readings(timestamp);
+
+    CREATE TABLE IF NOT EXISTS thermostat_states (
+      timestamp      TEXT PRIMARY KEY,
+      mode           TEXT,
+      heat_setpoint  REAL,
+      cool_setpoint  REAL,
+      fan            INTEGER
+    );
+
+    CREATE TABLE IF NOT EXISTS annotations (
+      timestamp  TEXT PRIMARY KEY,
+      note       TEXT NOT NULL
+    );
+  `),
+
+  // 2: A device column in every per-thermostat table's primary key, and a
+  // devices table naming them.  Existing rows get device ''.
+  () => {
+    const DEVICE_TABLES = {
+      sensor_readings: `
+        CREATE TABLE sensor_readings (
+          device     TEXT NOT NULL DEFAULT '',
+          timestamp  TEXT NOT NULL,
+          section    TEXT NOT NULL,
+          sensor     TEXT NOT NULL,
+          value      REAL NOT NULL,
+          PRIMARY KEY (device, timestamp, section, sensor)
+        )`,
+      hvac_states: `
+        CREATE TABLE hvac_states (
+          device     TEXT NOT NULL DEFAULT '',
+          timestamp  TEXT NOT NULL,
+          action     TEXT NOT NULL,
+          PRIMARY KEY (device, timestamp)
+        )`,
+      thermostat_states: `
+        CREATE TABLE thermostat_states (
+          device         TEXT NOT NULL DEFAULT '',
+          timestamp      TEXT NOT NULL,
+          mode           TEXT,
+          heat_setpoint  REAL,
+          cool_setpoint  REAL,
+          fan            INTEGER,
+          PRIMARY KEY (device, timestamp)
+        )`,
+    };
+    for (const [table, createSql] of Object.entries(DEVICE_TABLES)) {
+      if (!hasColumn(table, 'device')) rebuildTable(table, createSql, { device: "''" });
+    }
+    // The index moved with the old table and went with it.
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_sr_timestamp ON sensor_readings(timestamp);
+
+      -- One row per thermostat, keyed by the DEVICE_… segment of its
+      -- home.nest.com URL.  '' is data recorded before device IDs were.
+      CREATE TABLE IF NOT EXISTS devices (
+        id    TEXT PRIMARY KEY,
+        name  TEXT
+      );
+
+      INSERT OR IGNORE INTO devices (id) SELECT DISTINCT device FROM sensor_readings;
+    `);
+  },
+
+  // 3: Annotations keyed by id rather than timestamp, so they can be edited
+  // and deleted, with an optional end (ranges) and category.
+  () => {
+    if (hasColumn('annotations', 'id')) return;
+    // A note at one moment, or over a range when end_timestamp is set (e.g.
+    // "windows open").  category groups notes for coloring and filtering.
+    rebuildTable('annotations', `
+      CREATE TABLE annotations (
+        id             INTEGER PRIMARY KEY,
+        timestamp      TEXT NOT NULL,
+        end_timestamp  TEXT,
+        note           TEXT NOT NULL,
+        category       TEXT
+      )`);
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_annotations_timestamp ON annotations (timestamp);
+    `);
+  },
+
+  // 4: Import batches.  Rows import.js adds carry the batch name in
+  // import_batch (NULL for live readings), so an import can be rolled back.
+  () => {
+    for (const table of ['sensor_readings', 'hvac_states']) {
+      if (!hasColumn(table, 'import_batch')) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN import_batch TEXT`);
+      }
+    }
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS imports (
+        batch        TEXT PRIMARY KEY,
+        source       TEXT NOT NULL,
+        imported_at  TEXT NOT NULL,
+        readings     INTEGER NOT NULL,
+        hvac_states  INTEGER NOT NULL
+      );
+    `);
+  },
+
+  // 5: Hourly and daily rollups, so long windows don't scan every reading
+  // and raw readings can be pruned once old.  See rollups.js.
+  () => db.exec(`
+    -- Set once a row has been counted in the rollups.
+    ALTER TABLE sensor_readings ADD COLUMN rolled INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE hvac_states     ADD COLUMN rolled INTEGER NOT NULL DEFAULT 0;
+
+    CREATE INDEX idx_sr_unrolled ON sensor_readings (device) WHERE rolled = 0;
+    CREATE INDEX idx_hs_unrolled ON hvac_states (device)     WHERE rolled = 0;
+
+    -- Per sensor and bucket.  resolution is the bucket width in ms (an hour
+    -- or a day); bucket is its UTC start.
+    CREATE TABLE sensor_rollups (
+      device      TEXT NOT NULL,
+      resolution  INTEGER NOT NULL,
+      bucket      TEXT NOT NULL,
+      section     TEXT NOT NULL,
+      sensor      TEXT NOT NULL,
+      min         REAL NOT NULL,
+      mean        REAL NOT NULL,
+      max         REAL NOT NULL,
+      samples     INTEGER NOT NULL,
+      PRIMARY KEY (device, resolution, bucket, section, sensor)
+    );
+
+    -- Seconds spent in each HVAC state per bucket.
+    CREATE TABLE hvac_rollups (
+      device      TEXT NOT NULL,
+      resolution  INTEGER NOT NULL,
+      bucket      TEXT NOT NULL,
+      heat_s      REAL NOT NULL DEFAULT 0,
+      cool_s      REAL NOT NULL DEFAULT 0,
+      idle_s      REAL NOT NULL DEFAULT 0,
+      PRIMARY KEY (device, resolution, bucket)
+    );
+
+    -- A single row.  Raw readings before pruned_before may have been
+    -- deleted, leaving only the rollups.
+    CREATE TABLE retention (
+      id             INTEGER PRIMARY KEY CHECK (id = 1),
+      pruned_before  TEXT
+    );
+    INSERT INTO retention (id) VALUES (1);
+  `),
+
+  // 6: The unit of each stored value.  Everything recorded until now was in
+  // °F and % as the Nest UI showed them, so those are filled in by section.
+  () => db.exec(`
+    ALTER TABLE sensor_readings ADD COLUMN unit TEXT;
+    ALTER TABLE sensor_rollups  ADD COLUMN unit TEXT;
+
+    UPDATE sensor_readings SET unit = CASE section
+      WHEN 'TEMPERATURE SENSORS' THEN '°F'
+      WHEN 'OUTSIDE TEMP.'       THEN '°F'
+      WHEN 'INSIDE HUMIDITY'     THEN '%'
+    END;
+    UPDATE sensor_rollups SET unit = CASE section
+      WHEN 'TEMPERATURE SENSORS' THEN '°F'
+      WHEN 'OUTSIDE TEMP.'       THEN '°F'
+      WHEN 'INSIDE HUMIDITY'     THEN '%'
+    END;
+  `),
+
+  // 7: Alert rules, what each is currently seeing, and a log of firings.
+  // See alerts.js.
+  () => db.exec(`
+    -- kind is 'threshold' (a sensor value), 'hvac' (a heating or cooling run)
+    -- or 'stale' (no readings).  device NULL means every thermostat, and for
+    -- threshold rules sensor NULL means every sensor in the section.
+    CREATE TABLE alert_rules (
+      id           INTEGER PRIMARY KEY,
+      name         TEXT NOT NULL,
+      kind         TEXT NOT NULL CHECK (kind IN ('threshold', 'hvac', 'stale')),
+      device       TEXT,
+      section      TEXT,
+      sensor       TEXT,
+      comparison   TEXT CHECK (comparison IN ('>', '<')),
+      threshold    REAL,
+      hysteresis   REAL NOT NULL DEFAULT 0,
+      action       TEXT CHECK (action IN ('heat', 'cool')),
+      duration_s   INTEGER NOT NULL DEFAULT 0,
+      webhook_url  TEXT,
+      command      TEXT,
+      enabled      INTEGER NOT NULL DEFAULT 1
+    );
+
+    -- One row per rule, device and subject (a SECTION/sensor, or '') whose
+    -- condition currently holds.  event is set once it has fired.
+    CREATE TABLE alert_state (
+      rule_id  INTEGER NOT NULL,
+      device   TEXT NOT NULL,
+      subject  TEXT NOT NULL,
+      since    TEXT NOT NULL,
+      event    INTEGER,
+      PRIMARY KEY (rule_id, device, subject)
+    );
+
+    CREATE TABLE alert_events (
+      id             INTEGER PRIMARY KEY,
+      rule_id        INTEGER NOT NULL,
+      device         TEXT NOT NULL,
+      subject        TEXT NOT NULL,
+      fired_at       TEXT NOT NULL,
+      cleared_at     TEXT,
+      value          REAL,
+      message        TEXT NOT NULL,
+      annotation_id  INTEGER
+    );
+    CREATE INDEX idx_alert_events_fired_at ON alert_events (fired_at);
+  `),
+
+  // 8: What the extension reports about itself: per-poll diagnostics, errors,
+  // tab reloads and heartbeats.  See health.js.
+  () => db.exec(`
+    -- timestamp is the extension's clock, received_at the server's.  details
+    -- is JSON whose fields depend on kind.
+    CREATE TABLE extension_events (
+      id           INTEGER PRIMARY KEY,
+      kind         TEXT NOT NULL CHECK (kind IN ('poll', 'error', 'reload', 'heartbeat')),
+      timestamp    TEXT NOT NULL,
+      received_at  TEXT NOT NULL,
+      device       TEXT,
+      message      TEXT,
+      details      TEXT
+    );
+    CREATE INDEX idx_extension_events_kind ON extension_events (kind, timestamp);
+  `),
+
+  // 9: Sanitized copies of the Nest page from polls where nothing could be
+  // scraped, for replay.js.  See health.js.
+  () => db.exec(`
+    CREATE TABLE page_snapshots (
+      id           INTEGER PRIMARY KEY,
+      timestamp    TEXT NOT NULL,
+      received_at  TEXT NOT NULL,
+      device       TEXT,
+      url          TEXT,
+      reason       TEXT,
+      html         TEXT NOT NULL
+    );
+  `),
+
+  // 10: Access tokens, stored as SHA-256 hashes.  See auth.js.
+  () => db.exec(`
+    CREATE TABLE access_tokens (
+      id            INTEGER PRIMARY KEY,
+      name          TEXT NOT NULL,
+      access        TEXT NOT NULL CHECK (access IN ('ingest', 'read', 'write')),
+      hash          TEXT NOT NULL UNIQUE,
+      created_at    TEXT NOT NULL,
+      last_used_at  TEXT
+    );
+  `),
+
+  // 11: Display rules per sensor: a display name, merging into another
+  // sensor of the same section, hiding, color and legend order.  See
+  // sensors.js.  Queries used to label outside temperature 'Weather' by
+  // section; now each thermostat's first outside sensor is named that, with
+  // any others merged into it.
+  () => db.exec(`
+    CREATE TABLE sensors (
+      id            INTEGER PRIMARY KEY,
+      device        TEXT NOT NULL,
+      section       TEXT NOT NULL,
+      name          TEXT NOT NULL,
+      display_name  TEXT,
+      alias_of      TEXT,
+      hidden        INTEGER NOT NULL DEFAULT 0,
+      color         TEXT,
+      sort_order    INTEGER,
+      UNIQUE (device, section, name)
+    );
+
+    INSERT INTO sensors (device, section, name)
+      SELECT device, section, sensor FROM sensor_rollups
+      UNION
+      SELECT device, section, sensor FROM sensor_readings;
+
+    UPDATE sensors SET display_name = 'Weather'
+    WHERE section = 'OUTSIDE TEMP.' AND name = (
+      SELECT sensor FROM sensor_rollups r
+      WHERE r.device = sensors.device AND r.section = sensors.section
+      ORDER BY bucket LIMIT 1
+    );
+    UPDATE sensors SET alias_of = (
+      SELECT w.name FROM sensors w
+      WHERE w.device = sensors.device AND w.section = sensors.section AND w.display_name = 'Weather'
+    )
+    WHERE section = 'OUTSIDE TEMP.' AND display_name IS NULL;
+  `),
+
+  // 12: Saved chart views: a name and the chart's URL hash, which holds the
+  // thermostat, range, hidden lines and unit.
+  () => db.exec(`
+    CREATE TABLE views (
+      id          INTEGER PRIMARY KEY,
+      name        TEXT NOT NULL UNIQUE,
+      state       TEXT NOT NULL,
+      updated_at  TEXT NOT NULL
+    );
+  `),
+
+  // 13: Migration 11 looked for each thermostat's first outside sensor only
+  // in the rollups, which databases upgraded from before migration 5 don't
+  // have yet, so theirs weren't named 'Weather'.  Thermostats with no outside
+  // sensor named at all get it now, searching the raw readings too; their
+  // other unmerged outside sensors are merged into it.
+  () => {
+    const unnamed = db.prepare(`
+      SELECT DISTINCT device FROM sensors s
+      WHERE section = 'OUTSIDE TEMP.' AND NOT EXISTS (
+        SELECT 1 FROM sensors n
+        WHERE n.device = s.device AND n.section = s.section AND n.display_name IS NOT NULL
+      )
+    `).pluck().all();
+    const first = db.prepare(`
+      SELECT sensor FROM (
+        SELECT sensor, bucket AS at FROM sensor_rollups
+        WHERE device = @device AND section = 'OUTSIDE TEMP.'
+        UNION ALL
+        SELECT sensor, MIN(timestamp) FROM sensor_readings
+        WHERE device = @device AND section = 'OUTSIDE TEMP.'
+        GROUP BY sensor
+      )
+      WHERE sensor IN (
+        SELECT name FROM sensors
+        WHERE device = @device AND section = 'OUTSIDE TEMP.' AND alias_of IS NULL
+      )
+      ORDER BY at, sensor LIMIT 1
+    `).pluck();
+
+    for (const device of unnamed) {
+      const weather = first.get({ device });
+      if (weather === undefined) continue;
+      db.prepare(`
+        UPDATE sensors SET display_name = 'Weather'
+        WHERE device = ? AND section = 'OUTSIDE TEMP.' AND name = ?
+      `).run(device, weather);
+      db.prepare(`
+        UPDATE sensors SET alias_of = ?
+        WHERE device = ? AND section = 'OUTSIDE TEMP.' AND name != ? AND alias_of IS NULL
+      `).run(weather, device, weather);
+    }
+  },
+
+  // 14: HVAC states used to last across outages in the rollups, counting the
+  // whole of one as heating or idle.  Marking every state makes the next
+  // rollUp() recompute them, stopping each at the gap threshold.
+  () => db.exec(`
+    UPDATE hvac_states SET rolled = 0;
+  `),
+];
+
+// ── Runner ────────────────────────────────────────────────────────────────────
+
+function migrate() {
+  const current = db.pragma('user_version', { simple: true });
+  const latest  = MIGRATIONS.length;
+
+  if (current > latest) {
+    db.close();
+    throw new Error(
+      `${DB_PATH} is at schema version ${current}, but this code only knows up ` +
+      `to ${latest}.  Update nest-logger, or restore a backup made before the ` +
+      `upgrade.`
+    );
+  }
+  if (current === latest) return;
+
+  // Anything already in the file is copied aside first.  VACUUM INTO writes a
+  // consistent, compacted snapshot, WAL contents included.
+  if (tableExists('sensor_readings') || current > 0) {
+    const stamp  = new Date().toISOString().replace(/[:.]/g, '-');
+    const backup = `${DB_PATH}.v${current}-${stamp}.bak`;
+    db.prepare('VACUUM INTO ?').run(backup);
+    console.log(`[db] Backed up schema version ${current} to ${backup}.`);
+  }
+
+  for (let version = current + 1; version <= latest; version++) {
+    db.transaction(() => {
+      MIGRATIONS[version - 1]();
+      db.pragma(`user_version = ${version}`);
+    })();
+    console.log(`[db] Migrated to schema version ${version}.`);
+  }
+}
+
+migrate();
 
 module.exports = db;
@@ -0,0 +1,280 @@
+/**
+ * nest-logger — faults.js — signs of failing HVAC equipment.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * faults.js — signs of failing HVAC equipment.
+ *
+ * Rebuilds heating and cooling runs (cycles) from hvac_states and looks for
+ * three patterns:
+ *
+ *   short_cycling   several short runs within an hour, e.g. a furnace whose
+ *                   flame sensor or igniter keeps cutting it off.
+ *   stalled_run     a long run during which the thermostat's temperature
+ *                   barely moved toward the setpoint.
+ *   cooling_rising  a cooling run during which the temperature kept rising,
+ *                   e.g. low refrigerant or a frozen coil.
+ *
+ * A run lasts from the first state in it to the next different state.  Gaps
+ * in the states longer than GAP_POLLS poll intervals (the extension stopped,
+ * or the server was down) end a run there, and such runs, like the one still
+ * going, aren't counted as short.  A run still going is checked for the other two,
+ * so a stall shows up while it is happening.
+ *
+ * The temperature followed is the thermostat's own sensor: the one in
+ * 'TEMPERATURE SENSORS' named like "Entryway Thermostat", or the average of
+ * every sensor there if none is.  Only raw readings are used, so nothing is
+ * found in ranges older than the retention period.
+ */
+
+const db = require('./db');
+const { fmtDuration } = require('./format');
+const { pollIntervalMs } = require('./health');
+
+const TEMPERATURE_SECTION = 'TEMPERATURE SENSORS';
+
+// A few missed polls are tolerated; a longer silence ends the run.
+const GAP_POLLS = 4;
+
+// short_cycling: at least SHORT_CYCLE_COUNT runs each shorter than
+// SHORT_RUN_MS starting within SHORT_CYCLE_WINDOW_MS.
+const SHORT_RUN_MS          = 10 * 60_000;
+const SHORT_CYCLE_COUNT     = 4;
+const SHORT_CYCLE_WINDOW_MS = 60 * 60_000;
+
+// stalled_run: a run of at least STALLED_RUN_MS that moved the temperature
+// less than MIN_PROGRESS_F toward the setpoint.
+const STALLED_RUN_MS = 45 * 60_000;
+const MIN_PROGRESS_F = 0.5;
+
+// cooling_rising: a cooling run of at least RISING_RUN_MS during which the
+// temperature rose by RISING_F or more.
+const RISING_RUN_MS = 20 * 60_000;
+const RISING_F      = 0.5;
+
+// A reading up to this many poll intervals before a run's start or end
+// stands for the temperature then.
+const READING_TOLERANCE_POLLS = 3;
+
+/** The longest silence that doesn't end a run, at the current poll interval. */
+function maxGapMs() {
+  return GAP_POLLS * pollIntervalMs();
+}
+
+/** The thermostat's own sensor for device, or null to average them all. */
+function thermostatSensor(device) {
+  const sensors = db.prepare(`
+    SELECT DISTINCT sensor FROM sensor_readings WHERE device = ? AND section = ?
+  `).pluck().all(device, TEMPERATURE_SECTION);
+  return sensors.find(name => /thermostat/i.test(name)) ?? null;
+}
+
+/**
+ * Heating, cooling and idle runs for device from the states in [fromIso,
+ * toIso): [{ action, start, end, complete, ongoing, gap_after }] in ms.
+ * complete is false for runs cut by a gap or by the window's start, or still
+ * going.  gap_after is true for runs ended by a gap of more than maxGapMs().
+ */
+function reconstructRuns(device, fromIso, toIso) {
+  const gapMs = maxGapMs();
+  const prior = db.prepare(`
+    SELECT timestamp, action FROM hvac_states WHERE device = ? AND timestamp < ?
+    ORDER BY timestamp DESC LIMIT 1
+  `).get(device, fromIso);
+  const states = db.prepare(`
+    SELECT timestamp, action FROM hvac_states WHERE device = ? AND timestamp >= ? AND timestamp < ?
+    ORDER BY timestamp
+  `).all(device, fromIso, toIso);
+  const next = db.prepare(`
+    SELECT timestamp, action FROM hvac_states WHERE device = ? AND timestamp >= ?
+    ORDER BY timestamp LIMIT 1
+  `).get(device, toIso);
+  if (next) states.push(next);
+
+  const runs = [];
+  let run   = null;
+  let lastT = prior ? Date.parse(prior.timestamp) : null;
+  let lastAction = prior?.action ?? null;
+  const close = (end, complete, gapAfter = false) => {
+    runs.push({ ...run, end, complete: run.complete && complete, ongoing: false, gap_after: gapAfter });
+    run = null;
+  };
+
+  for (const { timestamp, action } of states) {
+    const t = Date.parse(timestamp);
+    const gap = lastT !== null && t - lastT > gapMs;
+    if (run && gap) close(lastT, false, true);
+    if (run && action !== run.action) close(t, true);
+    if (!run) {
+      // Known to start here only if a different state came just before.
+      const started = lastAction !== null && lastAction !== action && !gap;
+      run = { action, start: t, complete: started };
+    }
+    lastT = t;
+    lastAction = action;
+  }
+  if (run) runs.push({ ...run, end: lastT, complete: false, ongoing: !next, gap_after: false });
+  return runs;
+}
+
+/**
+ * Returns a function giving the temperature (°F) at a UTC ms time, from the
+ * latest reading at or before it within READING_TOLERANCE_POLLS poll
+ * intervals, or null.
+ */
+function temperatureLookup(device, sensor, fromMs, toIso) {
+  const toleranceMs = READING_TOLERANCE_POLLS * pollIntervalMs();
+  const rows = db.prepare(`
+    SELECT timestamp, AVG(value) AS value FROM sensor_readings
+    WHERE device = @device AND section = @section AND (@sensor IS NULL OR sensor = @sensor)
+      AND timestamp >= @from AND timestamp < @to
+    GROUP BY timestamp
+    ORDER BY timestamp
+  `).all({
+    device, sensor,
+    section: TEMPERATURE_SECTION,
+    from:    fromMs === null ? '' : new Date(fromMs - toleranceMs).toISOString(),
+    to:      toIso,
+  });
+  const times = rows.map(r => Date.parse(r.timestamp));
+
+  return (t) => {
+    // Binary search for the last reading at or before t.
+    let lo = 0;
+    let hi = times.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (times[mid] <= t) lo = mid + 1; else hi = mid;
+    }
+    const i = lo - 1;
+    return i >= 0 && t - times[i] <= toleranceMs ? rows[i].value : null;
+  };
+}
+
+const ACTION_NAMES = { heat: 'Heating', cool: 'Cooling' };
+
+function shortCyclingFinding(action, runs) {
+  const start = runs[0].start;
+  const end   = runs.at(-1).end;
+  return {
+    kind:   'short_cycling',
+    action,
+    start,
+    end,
+    cycles: runs.length,
+    message: `${ACTION_NAMES[action]} ran ${runs.length} times for under ` +
+             `${fmtDuration(SHORT_RUN_MS / 1000)} within ${fmtDuration(Math.round((end - start) / 1000))}`,
+  };
+}
+
+/** Groups of at least SHORT_CYCLE_COUNT short runs close together. */
+function findShortCycling(runs) {
+  const findings = [];
+  for (const action of ['heat', 'cool']) {
+    const short = runs.filter(r => r.action === action && r.complete && r.end - r.start < SHORT_RUN_MS);
+
+    // Every SHORT_CYCLE_COUNT consecutive short runs starting within the
+    // window qualify; overlapping qualifiers are one finding.
+    let group = null;  // { first, last } indices into short
+    for (let i = 0; i + SHORT_CYCLE_COUNT - 1 < short.length; i++) {
+      const last = i + SHORT_CYCLE_COUNT - 1;
+      if (short[last].start - short[i].start >= SHORT_CYCLE_WINDOW_MS) continue;
+      if (group && i <= group.last) {
+        group.last = last;
+      } else {
+        if (group) findings.push(shortCyclingFinding(action, short.slice(group.first, group.last + 1)));
+        group = { first: i, last };
+      }
+    }
+    if (group) findings.push(shortCyclingFinding(action, short.slice(group.first, group.last + 1)));
+  }
+  return findings;
+}
+
+/** Long runs that didn't move the temperature, and cooling runs it rose during. */
+function findIneffectiveRuns(runs, temperatureAt, sensorLabel) {
+  const findings = [];
+  for (const run of runs) {
+    const durationMs = run.end - run.start;
+    const from = temperatureAt(run.start);
+    const to   = temperatureAt(run.end);
+    if (from === null || to === null) continue;
+
+    const progress = run.action === 'heat' ? to - from : from - to;
+    const finding  = {
+      action:     run.action,
+      start:      run.start,
+      end:        run.end,
+      ongoing:    run.ongoing,
+      duration_s: Math.round(durationMs / 1000),
+      from_f:     Math.round(from * 10) / 10,
+      to_f:       Math.round(to * 10) / 10,
+    };
+    const ran = `${ACTION_NAMES[run.action]} ${run.ongoing ? 'has run' : 'ran'} ${fmtDuration(finding.duration_s)}`;
+    if (run.action === 'cool' && durationMs >= RISING_RUN_MS && -progress >= RISING_F) {
+      findings.push({
+        kind: 'cooling_rising', ...finding,
+        message: `${ran} while ${sensorLabel} rose from ${finding.from_f}°F to ${finding.to_f}°F`,
+      });
+    } else if (durationMs >= STALLED_RUN_MS && progress < MIN_PROGRESS_F) {
+      findings.push({
+        kind: 'stalled_run', ...finding,
+        message: `${ran}, but ${sensorLabel} only went from ${finding.from_f}°F to ${finding.to_f}°F`,
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Findings for device over [fromMs, toMs) (null = unbounded), oldest first:
+ *
+ *   { device, sensor, findings: [{ kind, action, start, end, message, … }] }
+ *
+ * start and end are ISO times.  short_cycling findings carry cycles;
+ * stalled_run and cooling_rising carry duration_s, from_f and to_f (the
+ * temperature at the run's start and end, °F) and ongoing.  sensor is the
+ * sensor followed, or null for the average of all of them.
+ */
+function queryFaults({ device, fromMs = null, toMs = null }) {
+  const fromIso = fromMs === null ? '' : new Date(fromMs).toISOString();
+  const toIso   = toMs   === null ? '9999' : new Date(toMs).toISOString();
+  const sensor  = thermostatSensor(device);
+
+  const runs = reconstructRuns(device, fromIso, toIso).filter(r => r.action !== 'idle');
+  const temperatureAt = temperatureLookup(device, sensor, fromMs, toIso);
+  const findings = [
+    ...findShortCycling(runs),
+    ...findIneffectiveRuns(runs, temperatureAt, sensor ?? 'the indoor temperature'),
+  ].sort((a, b) => a.start - b.start);
+
+  return {
+    device,
+    sensor,
+    findings: findings.map(f => ({
+      ...f,
+      start: new Date(f.start).toISOString(),
+      end:   new Date(f.end).toISOString(),
+    })),
+  };
+}
+
+module.exports = {
+  maxGapMs,
+  queryFaults,
+  reconstructRuns,
+};
@@ -0,0 +1,119 @@
+/**
+ * nest-logger — gaps.js — stretches with no readings.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * gaps.js — stretches with no readings.
+ *
+ * When the Nest tab is closed or the server is down, nothing is recorded,
+ * and nothing is known about the temperatures or the HVAC state in between.
+ * A gap is any stretch between two consecutive readings of a thermostat
+ * longer than a threshold, a few poll intervals, so that a missed poll or
+ * two doesn't count.  The chart breaks its lines at gaps, leaves them
+ * unshaded, and lists them as outages.
+ *
+ * Where raw readings have been pruned, only the hourly rollups are left, so
+ * there a gap is a run of hours with no readings at all: it starts at the
+ * end of the last hour with readings and ends at the next reading's hour.
+ *
+ * A thermostat that has stopped reporting isn't in a gap until it reports
+ * again; the health line covers that.
+ */
+
+const db = require('./db');
+const { HOUR_MS, queryPrunedBefore } = require('./rollups');
+
+/**
+ * Gaps in device's readings longer than thresholdMs that overlap [fromMs,
+ * toMs] (null = unbounded), oldest first:
+ *
+ *   [{ start, end, duration_s }]
+ *
+ * start and end are ISO times: the last reading before the gap and the first
+ * after it (for pruned history, the hours around it).
+ */
+function queryGaps({ device, fromMs = null, toMs = null, thresholdMs }) {
+  const params = {
+    device,
+    fromIso:      fromMs === null ? '' : new Date(fromMs).toISOString(),
+    toIso:        toMs   === null ? '9999' : new Date(toMs).toISOString(),
+    hourMs:       HOUR_MS,
+    prunedBefore: queryPrunedBefore() ?? '',
+  };
+
+  // Each source covers a stretch of time: an hour for a rollup, an instant
+  // for a raw reading.  The readings on either side of the window are
+  // included, so gaps running over its edges are found too.
+  const spans = [];
+  if (params.prunedBefore > params.fromIso) {
+    const hours = db.prepare(`
+      SELECT DISTINCT bucket FROM sensor_rollups
+      WHERE device = @device AND resolution = @hourMs AND bucket < @prunedBefore
+        AND bucket >= COALESCE(
+          (SELECT MAX(bucket) FROM sensor_rollups
+           WHERE device = @device AND resolution = @hourMs AND bucket < @fromIso), '')
+        AND bucket <= COALESCE(
+          (SELECT MIN(bucket) FROM sensor_rollups
+           WHERE device = @device AND resolution = @hourMs AND bucket > @toIso), '9999')
+      ORDER BY bucket
+    `).pluck().iterate(params);
+    for (const bucket of hours) spans.push({ start: Date.parse(bucket), end: Date.parse(bucket) + HOUR_MS });
+  }
+
+  // Only the readings bounding a gap are needed, so SQLite finds them.
+  const raw = db.prepare(`
+    SELECT previous, timestamp FROM (
+      SELECT timestamp, LAG(timestamp) OVER (ORDER BY timestamp) AS previous
+      FROM (
+        SELECT DISTINCT timestamp FROM sensor_readings
+        WHERE device = @device AND timestamp >= @prunedBefore
+          AND timestamp >= COALESCE(
+            (SELECT MAX(timestamp) FROM sensor_readings WHERE device = @device AND timestamp < @fromIso), '')
+          AND timestamp <= COALESCE(
+            (SELECT MIN(timestamp) FROM sensor_readings WHERE device = @device AND timestamp > @toIso), '9999')
+      )
+    )
+    WHERE previous IS NULL
+       OR (unixepoch(timestamp, 'subsec') - unixepoch(previous, 'subsec')) * 1000 > @thresholdMs
+    ORDER BY timestamp
+  `).all({ ...params, thresholdMs });
+
+  const gaps = [];
+  const add = (start, end) => {
+    if (end - start > thresholdMs && end >= (fromMs ?? -Infinity) && start <= (toMs ?? Infinity)) {
+      gaps.push({
+        start:      new Date(start).toISOString(),
+        end:        new Date(end).toISOString(),
+        duration_s: Math.round((end - start) / 1000),
+      });
+    }
+  };
+  for (let i = 1; i < spans.length; i++) add(spans[i - 1].end, spans[i].start);
+  for (const { previous, timestamp } of raw) {
+    if (previous !== null) {
+      add(Date.parse(previous), Date.parse(timestamp));
+    } else if (spans.length) {
+      // The first raw reading follows the last rollup hour.
+      add(spans.at(-1).end, Date.parse(timestamp));
+    }
+  }
+  return gaps;
+}
+
+module.exports = {
+  queryGaps,
+};
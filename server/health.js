@@ -0,0 +1,340 @@
+/**
+ * nest-logger — health.js — extension reports and ingest health.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * health.js — extension reports and ingest health.
+ *
+ * Besides readings, the extension reports on itself so that a scraper broken
+ * by a change to the Nest markup shows up on the chart page rather than only
+ * in the console of a tab nobody watches.  Reports are stored in
+ * extension_events, one of four kinds:
+ *
+ *   poll       after every scrape: { ok, sections, values, skipped,
+ *              duration_ms }, with message saying what went wrong if not ok.
+ *   error      something failed, e.g. the carousel never appeared or a row
+ *              couldn't be parsed.
+ *   reload     the worker reloaded a Nest tab: { reason: 'watchdog' | 'daily' }.
+ *   heartbeat  the worker is alive, sent on its watchdog alarm: { version,
+ *              queued, tabs, poll_interval_ms }.
+ *
+ * When a poll can't read anything at all, the extension also uploads a
+ * sanitized snapshot of the page to page_snapshots, so replay.js can try the
+ * scraper on it offline.  Only the newest MAX_SNAPSHOTS are kept.
+ *
+ * queryHealth() sums them up, with the newest readings, for GET /api/health.
+ * Events are kept for EVENT_RETENTION_DAYS.
+ */
+
+const db = require('./db');
+const { fmtDuration } = require('./format');
+
+const EVENT_KINDS          = ['poll', 'error', 'reload', 'heartbeat'];
+const RELOAD_REASONS       = ['watchdog', 'daily'];
+const EVENT_RETENTION_DAYS = 30;
+
+// Longer messages and details are cut short rather than rejected; an error
+// report shouldn't fail for being too descriptive.
+const MAX_MESSAGE_LENGTH = 1000;
+const MAX_DETAILS_LENGTH = 4000;
+
+// Matches MAX_SNAPSHOT_LENGTH in the extension's scraper.js.
+const MAX_SNAPSHOT_LENGTH = 2_000_000;
+const MAX_SNAPSHOTS       = 20;
+
+// Errors and reloads are summed up over this window.
+const RECENT_MS = 24 * 60 * 60 * 1000;
+
+// Mirrors the extension: its default poll interval, its watchdog alarm
+// period, and the grace its watchdog gives a tab before reloading it.
+const DEFAULT_POLL_INTERVAL_MS = 5 * 60_000;
+const MIN_POLL_INTERVAL_MS     = 1 * 60_000;
+const MAX_POLL_INTERVAL_MS     = 60 * 60_000;
+const HEARTBEAT_INTERVAL_MS    = 6 * 60_000;
+function graceMs(intervalMs) {
+  return intervalMs * 2 + 60_000;
+}
+
+// Set NEST_LOGGER_GAP_POLLS to change how many poll intervals without a
+// reading make a gap (see gaps.js).
+const DEFAULT_GAP_POLLS = 3;
+const GAP_POLLS = Math.max(1, Number(process.env.NEST_LOGGER_GAP_POLLS)) || DEFAULT_GAP_POLLS;
+
+// "42m", "3h 5m": to the minute, for ages.
+function fmtAge(ms) {
+  return fmtDuration(Math.round(ms / 60_000) * 60);
+}
+
+const SERVER_STARTED_AT = new Date().toISOString();
+
+// ── Reports ───────────────────────────────────────────────────────────────────
+
+/**
+ * Validates one event from the extension:
+ *   { kind, timestamp, device?, message?, details? }
+ * Returns the row to store, or an error message string.
+ */
+function parseExtensionEvent(body) {
+  const { kind, timestamp, device = null, message = null, details = null } = body ?? {};
+
+  if (!EVENT_KINDS.includes(kind)) {
+    return `kind must be one of: ${EVENT_KINDS.join(', ')}.`;
+  }
+  const ms = new Date(timestamp ?? NaN).getTime();
+  if (!Number.isFinite(ms)) {
+    return 'timestamp must be an ISO 8601 timestamp.';
+  }
+  if (device !== null && typeof device !== 'string') {
+    return 'device must be a string.';
+  }
+  if (message !== null && typeof message !== 'string') {
+    return 'message must be a string.';
+  }
+  if (details !== null && (typeof details !== 'object' || Array.isArray(details))) {
+    return 'details must be an object.';
+  }
+  if (kind === 'reload' && !RELOAD_REASONS.includes(details?.reason)) {
+    return `details.reason must be one of: ${RELOAD_REASONS.join(', ')}.`;
+  }
+
+  const json = details === null ? null : JSON.stringify(details);
+  if (json !== null && json.length > MAX_DETAILS_LENGTH) {
+    return `details must be under ${MAX_DETAILS_LENGTH} characters of JSON.`;
+  }
+  return {
+    kind,
+    timestamp: new Date(ms).toISOString(),
+    device,
+    message:   message?.slice(0, MAX_MESSAGE_LENGTH) ?? null,
+    details:   json,
+  };
+}
+
+const insertEvent = db.prepare(`
+  INSERT INTO extension_events (kind, timestamp, received_at, device, message, details)
+  VALUES (@kind, @timestamp, @received_at, @device, @message, @details)
+`);
+
+/** Stores events from parseExtensionEvent() and drops expired ones. */
+const recordExtensionEvents = db.transaction((events) => {
+  const received_at = new Date().toISOString();
+  for (const event of events) insertEvent.run({ ...event, received_at });
+
+  const cutoff = new Date(Date.now() - EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  db.prepare(`DELETE FROM extension_events WHERE received_at < ?`).run(cutoff);
+});
+
+/**
+ * Validates a page snapshot from the extension:
+ *   { timestamp, device?, url?, reason?, html }
+ * Returns the row to store, or an error message string.
+ */
+function parsePageSnapshot(body) {
+  const { timestamp, device = null, url = null, reason = null, html } = body ?? {};
+
+  const ms = new Date(timestamp ?? NaN).getTime();
+  if (!Number.isFinite(ms)) {
+    return 'timestamp must be an ISO 8601 timestamp.';
+  }
+  if (typeof html !== 'string' || !html) {
+    return 'html is required.';
+  }
+  if (html.length > MAX_SNAPSHOT_LENGTH) {
+    return `html must be under ${MAX_SNAPSHOT_LENGTH} characters.`;
+  }
+  for (const [name, value] of Object.entries({ device, url, reason })) {
+    if (value !== null && typeof value !== 'string') return `${name} must be a string.`;
+  }
+  return {
+    timestamp: new Date(ms).toISOString(),
+    device,
+    url,
+    reason:    reason?.slice(0, MAX_MESSAGE_LENGTH) ?? null,
+    html,
+  };
+}
+
+/** Stores a snapshot from parsePageSnapshot() and returns its id. */
+const recordPageSnapshot = db.transaction((snapshot) => {
+  const id = Number(db.prepare(`
+    INSERT INTO page_snapshots (timestamp, received_at, device, url, reason, html)
+    VALUES (@timestamp, @received_at, @device, @url, @reason, @html)
+  `).run({ ...snapshot, received_at: new Date().toISOString() }).lastInsertRowid);
+
+  db.prepare(`
+    DELETE FROM page_snapshots
+    WHERE id NOT IN (SELECT id FROM page_snapshots ORDER BY id DESC LIMIT ?)
+  `).run(MAX_SNAPSHOTS);
+  return id;
+});
+
+// ── Summary ───────────────────────────────────────────────────────────────────
+
+function latestEvent(kind, device = null) {
+  const row = db.prepare(`
+    SELECT timestamp, received_at, device, message, details FROM extension_events
+    WHERE kind = @kind AND (@device IS NULL OR device = @device)
+    ORDER BY timestamp DESC, id DESC LIMIT 1
+  `).get({ kind, device });
+  return row && { ...row, details: JSON.parse(row.details ?? '{}') };
+}
+
+/**
+ * A heartbeat's poll interval, held to the options page's bounds.  Gap and
+ * fault detection key off it, so anything that isn't a positive number
+ * counts as the default.
+ */
+function heartbeatInterval(heartbeat) {
+  const ms = heartbeat?.details.poll_interval_ms;
+  if (typeof ms !== 'number' || !(ms > 0)) return DEFAULT_POLL_INTERVAL_MS;
+  return Math.min(Math.max(ms, MIN_POLL_INTERVAL_MS), MAX_POLL_INTERVAL_MS);
+}
+
+/** The extension's poll interval, as of its last heartbeat. */
+function pollIntervalMs() {
+  return heartbeatInterval(latestEvent('heartbeat'));
+}
+
+/**
+ * How long without a reading makes a gap: nothing is known about the HVAC
+ * state past it, so the chart doesn't shade it or count it in the totals.
+ */
+function gapThresholdMs() {
+  return GAP_POLLS * pollIntervalMs();
+}
+
+/**
+ * Sums up whether readings are arriving and what the extension has reported:
+ *   {
+ *     ok, problems: [text, …],
+ *     now, server: { started_at },
+ *     last_reading: { device, timestamp } | null,
+ *     extension: { last_seen, version, queued, tabs, poll_interval_ms } | null,
+ *     devices: [{ id, name, last_reading, last_poll }],
+ *     reloads: { last_24h: { watchdog, daily }, last },
+ *     errors: [{ device, message, count, first, last }],
+ *     snapshots: { count, last: { id, timestamp, device, reason } | null },
+ *   }
+ * last_poll is the newest poll report's details plus its timestamp and
+ * message.  errors groups the last day's error reports by device and message,
+ * newest first.  ok is false if any problem was found.
+ */
+function queryHealth(nowMs = Date.now()) {
+  const dayAgo   = new Date(nowMs - RECENT_MS).toISOString();
+  const problems = [];
+  const ageOf    = (iso) => nowMs - new Date(iso).getTime();
+
+  const heartbeat = latestEvent('heartbeat');
+  const lastSeen  = db.prepare(`SELECT MAX(received_at) FROM extension_events`).pluck().get();
+  const pollIntervalMs = heartbeatInterval(heartbeat);
+
+  const extension = lastSeen ? {
+    last_seen:        lastSeen,
+    version:          heartbeat?.details.version ?? null,
+    queued:           heartbeat?.details.queued ?? null,
+    tabs:             heartbeat?.details.tabs ?? null,
+    poll_interval_ms: heartbeat ? pollIntervalMs : null,
+  } : null;
+  if (!extension) {
+    problems.push('The extension has never reported in; it may need updating.');
+  } else if (ageOf(lastSeen) > graceMs(HEARTBEAT_INTERVAL_MS)) {
+    problems.push(`No word from the extension for ${fmtAge(ageOf(lastSeen))}.`);
+  }
+
+  const devices = db.prepare(`
+    SELECT d.id, d.name,
+           (SELECT MAX(timestamp) FROM hvac_states h WHERE h.device = d.id) AS last_reading
+    FROM devices d
+    ORDER BY last_reading DESC
+  `).all();
+  for (const device of devices) {
+    const poll = latestEvent('poll', device.id);
+    device.last_poll = poll ? { timestamp: poll.timestamp, message: poll.message, ...poll.details } : null;
+
+    const label = device.name ?? (device.id.replace(/^DEVICE_/, '') || 'readings from before device IDs');
+    if (poll && poll.details.ok === false) {
+      problems.push(`The last scrape of ${label} failed: ${poll.message ?? 'no reason given'}`);
+    }
+    // A thermostat that stopped reporting more than a day ago has probably
+    // been retired on purpose, so it only counts if it's the last one.
+    if (device.last_reading >= dayAgo && ageOf(device.last_reading) > graceMs(pollIntervalMs)) {
+      problems.push(`No reading from ${label} for ${fmtAge(ageOf(device.last_reading))}.`);
+    }
+  }
+
+  const newest = devices.find(d => d.last_reading);
+  const last_reading = newest ? { device: newest.id, timestamp: newest.last_reading } : null;
+  if (!last_reading) {
+    problems.push('No readings yet.');
+  } else if (last_reading.timestamp < dayAgo) {
+    problems.push(`No reading for ${fmtAge(ageOf(last_reading.timestamp))}.`);
+  }
+
+  const reloadCounts = Object.fromEntries(RELOAD_REASONS.map(reason => [reason, 0]));
+  const reloadRows = db.prepare(`
+    SELECT json_extract(details, '$.reason') AS reason, COUNT(*) AS count FROM extension_events
+    WHERE kind = 'reload' AND timestamp >= ?
+    GROUP BY reason
+  `).all(dayAgo);
+  for (const { reason, count } of reloadRows) reloadCounts[reason] = count;
+  const lastReload = latestEvent('reload');
+
+  const errors = db.prepare(`
+    SELECT device, message, COUNT(*) AS count, MIN(timestamp) AS first, MAX(timestamp) AS last
+    FROM extension_events
+    WHERE kind = 'error' AND timestamp >= ?
+    GROUP BY device, message
+    ORDER BY last DESC
+    LIMIT 20
+  `).all(dayAgo);
+
+  return {
+    ok:           problems.length === 0,
+    problems,
+    now:          new Date(nowMs).toISOString(),
+    server:       { started_at: SERVER_STARTED_AT },
+    last_reading,
+    extension,
+    devices,
+    reloads: {
+      last_24h: reloadCounts,
+      last:     lastReload ? {
+        timestamp: lastReload.timestamp,
+        device:    lastReload.device,
+        reason:    lastReload.details.reason,
+        message:   lastReload.message,
+      } : null,
+    },
+    errors,
+    snapshots: {
+      count: db.prepare(`SELECT COUNT(*) FROM page_snapshots`).pluck().get(),
+      last:  db.prepare(`
+        SELECT id, timestamp, device, reason FROM page_snapshots ORDER BY id DESC LIMIT 1
+      `).get() ?? null,
+    },
+  };
+}
+
+module.exports = {
+  parseExtensionEvent,
+  recordExtensionEvents,
+  parsePageSnapshot,
+  recordPageSnapshot,
+  pollIntervalMs,
+  gapThresholdMs,
+  queryHealth,
+};
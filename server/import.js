@@ -0,0 +1,477 @@
+/**
+ * nest-logger — import.js — import history from Google Takeout and CSV files.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * import.js — import history from Google Takeout and CSV files.
+ *
+ *   node import.js [--dry-run] [--device DEVICE_…] [--batch NAME] [--sensor NAME] <path>...
+ *   node import.js --list
+ *   node import.js --rollback NAME
+ *
+ * Each path is a file or a directory searched recursively.  Files are
+ * recognized by name:
+ *
+ *   *-sensors.csv   Takeout thermostat sensor history (Date, Time, avg(temp),
+ *                   avg(humidity)), in °C and local time.  Stored as the
+ *                   temperature (converted to °F) and humidity of the sensor
+ *                   named by --sensor; use the thermostat's name as the Nest
+ *                   web UI shows it so the history joins up.
+ *   *-summary.json  Takeout daily summaries.  Each heating or cooling cycle
+ *                   becomes an HVAC state at its start and 'idle' at its end.
+ *   other *.csv     The wide CSV written by /api/export: a timestamp column,
+ *                   one SECTION/Sensor column per sensor, and optionally
+ *                   hvac_action.  Other columns are ignored.  Sensors are
+ *                   named there as the chart shows them, so a display name
+ *                   (see sensors.js) is stored as the sensor it names.
+ *
+ * Takeout's local times are read in this machine's time zone; set TZ to
+ * override it.
+ *
+ * Rows are added with INSERT OR IGNORE, so anything already stored for the
+ * same device, time and sensor is kept and counted as a duplicate.  Every row
+ * added is tagged with the batch name, which --rollback removes again.
+ * --dry-run does the whole import in a transaction that is then rolled back,
+ * so its report is exact.
+ *
+ * Imported rows are folded into the hourly and daily rollups (see
+ * rollups.js).  Where raw readings have been pruned, a reading whose hour is
+ * already rolled up is counted as a duplicate rather than added twice, and a
+ * rollback can't take back what it added there.
+ */
+
+const fs            = require('fs');
+const path          = require('path');
+const { parseArgs } = require('util');
+const db            = require('./db');
+const { HOUR_MS, rollUp, invalidateRollups, queryPrunedBefore } = require('./rollups');
+const { toCanonical } = require('./units');
+const { registerSensor } = require('./sensors');
+
+// The section and sensor names Takeout data is stored under.  The thermostat
+// shows up under these in the Nest web UI, so imported history lines up with
+// what the extension records.
+const TEMPERATURE_SECTION = 'TEMPERATURE SENSORS';
+const HUMIDITY_SECTION    = 'INSIDE HUMIDITY';
+
+// Cycle flags in Takeout summaries that mean the system was heating or
+// cooling.  A cycle with none of them set (e.g. fan only) is skipped.
+const HEAT_FLAGS = ['heat1', 'heat2', 'heat3', 'alt_heat', 'alt_heat2', 'aux_heat', 'emer_heat'];
+const COOL_FLAGS = ['cool1', 'cool2', 'cool3'];
+
+const HVAC_ACTIONS = ['heat', 'cool', 'idle'];
+
+// ── CSV ───────────────────────────────────────────────────────────────────────
+
+/** Parses CSV text (RFC 4180 quoting) into an array of rows of strings. */
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+function toIso(date) {
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// ── Sources ───────────────────────────────────────────────────────────────────
+//
+// Each parser returns { readings: [{ timestamp, section, sensor, value, unit }],
+// hvac: [{ timestamp, action }], warnings: [string] }, with values already in
+// the units they are stored in (see units.js).
+
+function parseTakeoutSensors(text, sensorName) {
+  const [header = [], ...rows] = parseCsv(text);
+  const col      = (re) => header.findIndex(h => re.test(h.trim()));
+  const dateCol  = col(/^date$/i);
+  const timeCol  = col(/^time$/i);
+  const tempCol  = col(/temp/i);
+  const humidCol = col(/humid/i);
+
+  const result = { readings: [], hvac: [], warnings: [] };
+  if (dateCol === -1 || timeCol === -1) {
+    result.warnings.push('no Date and Time columns; skipped.');
+    return result;
+  }
+
+  for (const row of rows) {
+    // No zone designator, so this is read as local time.
+    const timestamp = toIso(new Date(`${row[dateCol]}T${row[timeCol]}`));
+    if (!timestamp) {
+      result.warnings.push(`unreadable time "${row[dateCol]} ${row[timeCol]}"; row skipped.`);
+      continue;
+    }
+    const temp  = tempCol  === -1 ? NaN : parseFloat(row[tempCol]);
+    const humid = humidCol === -1 ? NaN : parseFloat(row[humidCol]);
+    if (Number.isFinite(temp)) {
+      result.readings.push({
+        timestamp, section: TEMPERATURE_SECTION, sensor: sensorName, ...toCanonical(temp, '°C'),
+      });
+    }
+    if (Number.isFinite(humid)) {
+      result.readings.push({
+        timestamp, section: HUMIDITY_SECTION, sensor: sensorName, ...toCanonical(humid, '%'),
+      });
+    }
+  }
+  return result;
+}
+
+function parseTakeoutSummary(text) {
+  const result = { readings: [], hvac: [], warnings: [] };
+  let days;
+  try {
+    days = JSON.parse(text);
+  } catch (err) {
+    result.warnings.push(`not valid JSON (${err.message}); skipped.`);
+    return result;
+  }
+
+  // time → action.  A cycle that starts where the previous one ended
+  // replaces that 'idle', so starts are applied after ends.
+  const ends   = new Map();
+  const starts = new Map();
+  for (const day of Object.values(days ?? {})) {
+    for (const cycle of day?.cycles ?? []) {
+      const action = HEAT_FLAGS.some(f => cycle[f]) ? 'heat'
+                   : COOL_FLAGS.some(f => cycle[f]) ? 'cool'
+                   : null;
+      if (!action) continue;
+
+      const params   = cycle.caption?.parameters ?? {};
+      const startMs  = new Date(params.startTime ?? cycle.startTs).getTime();
+      const duration = parseFloat(cycle.duration) * 1000;  // e.g. "1260s"
+      const endMs    = params.endTime ? new Date(params.endTime).getTime() : startMs + duration;
+      if (!Number.isFinite(startMs) || !Number.isFinite(endMs) || endMs <= startMs) {
+        result.warnings.push(`cycle with unreadable times (${JSON.stringify(params)}) skipped.`);
+        continue;
+      }
+      starts.set(new Date(startMs).toISOString(), action);
+      ends.set(new Date(endMs).toISOString(), 'idle');
+    }
+  }
+
+  const merged = new Map([...ends, ...starts]);
+  result.hvac = [...merged]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([timestamp, action]) => ({ timestamp, action }));
+  return result;
+}
+
+function parseExportCsv(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  // labels: sensors are named by their display names.
+  const result = { readings: [], hvac: [], warnings: [], labels: true };
+
+  if (header[0]?.trim() !== 'timestamp') {
+    result.warnings.push('first column is not "timestamp"; skipped.');
+    return result;
+  }
+
+  const hvacCol = header.indexOf('hvac_action');
+  const sensorCols = [];
+  header.forEach((name, i) => {
+    const slash = name.indexOf('/');
+    if (slash > 0) {
+      sensorCols.push({ i, section: name.slice(0, slash), sensor: name.slice(slash + 1) });
+    } else if (i > 0 && i !== hvacCol && name !== 'annotations') {
+      result.warnings.push(`column "${name}" is not SECTION/Sensor; ignored.`);
+    }
+  });
+
+  for (const row of rows) {
+    const timestamp = toIso(new Date(row[0]));
+    if (!timestamp) {
+      result.warnings.push(`unreadable timestamp "${row[0]}"; row skipped.`);
+      continue;
+    }
+    for (const { i, section, sensor } of sensorCols) {
+      const value = parseFloat(row[i]);
+      // Exports are written in the stored units.
+      if (Number.isFinite(value)) {
+        result.readings.push({ timestamp, section, sensor, ...toCanonical(value, null, section) });
+      }
+    }
+    if (hvacCol !== -1 && HVAC_ACTIONS.includes(row[hvacCol])) {
+      result.hvac.push({ timestamp, action: row[hvacCol] });
+    }
+  }
+  return result;
+}
+
+/** The parser for a file, by name, or null if it isn't one we import. */
+function parserFor(file, sensorName) {
+  const name = path.basename(file);
+  if (name.endsWith('-sensors.csv'))  return text => parseTakeoutSensors(text, sensorName);
+  if (name.endsWith('-summary.json')) return parseTakeoutSummary;
+  if (name.endsWith('.csv'))          return parseExportCsv;
+  return null;
+}
+
+/** Files under each path (recursing into directories), sorted. */
+function listFiles(paths) {
+  const files = [];
+  for (const p of paths) {
+    if (fs.statSync(p).isDirectory()) {
+      for (const entry of fs.readdirSync(p, { recursive: true })) {
+        const file = path.join(p, entry);
+        if (fs.statSync(file).isFile()) files.push(file);
+      }
+    } else {
+      files.push(p);
+    }
+  }
+  return files.sort();
+}
+
+// ── Commands ──────────────────────────────────────────────────────────────────
+
+const insertDevice = db.prepare(`INSERT OR IGNORE INTO devices (id) VALUES (?)`);
+const insertReading = db.prepare(`
+  INSERT OR IGNORE INTO sensor_readings (device, timestamp, section, sensor, value, unit, import_batch)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+`);
+const insertHvac = db.prepare(`
+  INSERT OR IGNORE INTO hvac_states (device, timestamp, action, import_batch)
+  VALUES (?, ?, ?, ?)
+`);
+const selectLabelled = db.prepare(`
+  SELECT name FROM sensors
+  WHERE device = ? AND section = ? AND display_name = ? AND alias_of IS NULL
+  ORDER BY id LIMIT 1
+`).pluck();
+const hasHourlyRollup = db.prepare(`
+  SELECT 1 FROM sensor_rollups
+  WHERE device = ? AND resolution = ${HOUR_MS} AND bucket = ? AND section = ? AND sensor = ?
+`);
+
+/** The UTC start of the hour holding an ISO timestamp, as stored in rollups. */
+function hourStart(timestamp) {
+  const ms = new Date(timestamp).getTime();
+  return new Date(Math.floor(ms / HOUR_MS) * HOUR_MS).toISOString();
+}
+
+// Thrown to roll back a dry run's transaction.
+class DryRun extends Error {}
+
+/**
+ * Imports every recognized file under paths for one device, printing a
+ * report per file and a total.
+ */
+function runImport(paths, { device, batch, sensorName, dryRun }) {
+  if (db.prepare(`SELECT 1 FROM imports WHERE batch = ?`).get(batch)) {
+    throw new Error(`Batch "${batch}" already exists; choose another --batch name.`);
+  }
+
+  const totals = { readings: 0, readingDupes: 0, hvac: 0, hvacDupes: 0, first: null, last: null };
+
+  // Readings before this may have been pruned, leaving only the rollups to
+  // say what is already stored.
+  const prunedBefore = queryPrunedBefore();
+
+  const importAll = db.transaction(() => {
+    insertDevice.run(device);
+
+    for (const file of listFiles(paths)) {
+      const parse = parserFor(file, sensorName);
+      if (!parse) {
+        console.log(`  ${file}: not a recognized file; skipped.`);
+        continue;
+      }
+
+      const { readings, hvac, warnings, labels } = parse(fs.readFileSync(file, 'utf8'));
+      let added = 0, hvacAdded = 0;
+      for (const r of readings) {
+        if (labels) r.sensor = selectLabelled.get(device, r.section, r.sensor) ?? r.sensor;
+        if (prunedBefore && r.timestamp < prunedBefore &&
+            hasHourlyRollup.get(device, hourStart(r.timestamp), r.section, r.sensor)) {
+          continue;
+        }
+        registerSensor(device, r.section, r.sensor);
+        added += insertReading.run(device, r.timestamp, r.section, r.sensor, r.value, r.unit, batch).changes;
+      }
+      for (const h of hvac) {
+        hvacAdded += insertHvac.run(device, h.timestamp, h.action, batch).changes;
+      }
+
+      for (const { timestamp } of [...readings, ...hvac]) {
+        if (!totals.first || timestamp < totals.first) totals.first = timestamp;
+        if (!totals.last  || timestamp > totals.last)  totals.last  = timestamp;
+      }
+      totals.readings     += added;
+      totals.readingDupes += readings.length - added;
+      totals.hvac         += hvacAdded;
+      totals.hvacDupes    += hvac.length - hvacAdded;
+
+      console.log(
+        `  ${file}: ${added} of ${readings.length} reading value(s), ` +
+        `${hvacAdded} of ${hvac.length} HVAC state(s) new.`
+      );
+      for (const warning of warnings) console.warn(`    warning: ${warning}`);
+    }
+
+    db.prepare(`
+      INSERT INTO imports (batch, source, imported_at, readings, hvac_states)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(batch, paths.join(', '), new Date().toISOString(), totals.readings, totals.hvac);
+
+    rollUp();
+    if (dryRun) throw new DryRun();
+  });
+
+  console.log(`${dryRun ? 'Dry run of' : 'Importing'} batch "${batch}" for device ${device || "''"}:`);
+  try {
+    importAll();
+  } catch (err) {
+    if (!(err instanceof DryRun)) throw err;
+  }
+
+  console.log(
+    `${dryRun ? 'Would add' : 'Added'} ${totals.readings} reading value(s) and ` +
+    `${totals.hvac} HVAC state(s); ${totals.readingDupes + totals.hvacDupes} already stored.`
+  );
+  if (totals.first) console.log(`Date range: ${totals.first} → ${totals.last}`);
+  if (dryRun) console.log('Dry run — nothing was written.');
+}
+
+function listBatches() {
+  const batches = db.prepare(`SELECT * FROM imports ORDER BY imported_at`).all();
+  if (!batches.length) {
+    console.log('No imports.');
+    return;
+  }
+  for (const b of batches) {
+    console.log(
+      `${b.batch}  ${b.imported_at}  ${b.readings} reading value(s), ` +
+      `${b.hvac_states} HVAC state(s)  from ${b.source}`
+    );
+  }
+}
+
+function rollback(batch) {
+  const removed = db.transaction(() => {
+    // Where the batch starts for each device, so the rollups can be rebuilt
+    // from there once its rows are gone.
+    const starts = db.prepare(`
+      SELECT device, MIN(timestamp) AS first FROM (
+        SELECT device, timestamp FROM sensor_readings WHERE import_batch = @batch
+        UNION ALL
+        SELECT device, timestamp FROM hvac_states WHERE import_batch = @batch
+      )
+      GROUP BY device
+    `).all({ batch });
+
+    const readings = db.prepare(`DELETE FROM sensor_readings WHERE import_batch = ?`).run(batch).changes;
+    const hvac     = db.prepare(`DELETE FROM hvac_states WHERE import_batch = ?`).run(batch).changes;
+    const known    = db.prepare(`DELETE FROM imports WHERE batch = ?`).run(batch).changes;
+
+    for (const { device, first } of starts) invalidateRollups(device, first);
+    rollUp();
+    return { readings, hvac, known };
+  })();
+
+  if (!removed.known) {
+    throw new Error(`No import batch named "${batch}"; see --list.`);
+  }
+  console.log(`Rolled back "${batch}": removed ${removed.readings} reading value(s) ` +
+    `and ${removed.hvac} HVAC state(s).`);
+}
+
+/**
+ * The device to import into: --device if given, else the only thermostat
+ * the database knows.  With several, imported history could land on the
+ * wrong one, so the user has to choose.
+ */
+function resolveDevice(requested) {
+  if (requested !== undefined) return requested;
+  const known = db.prepare(`SELECT id FROM devices WHERE id != '' ORDER BY id`).pluck().all();
+  if (known.length === 1) return known[0];
+  throw new Error(known.length
+    ? `Several thermostats are known (${known.join(', ')}); choose one with --device.`
+    : 'No thermostat has reported yet; give its DEVICE_… ID with --device.');
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+const { values: opts, positionals: paths } = parseArgs({
+  allowPositionals: true,
+  options: {
+    'dry-run':  { type: 'boolean', default: false },
+    'device':   { type: 'string' },
+    'batch':    { type: 'string', default: `import-${new Date().toISOString()}` },
+    'sensor':   { type: 'string', default: 'Thermostat' },
+    'list':     { type: 'boolean', default: false },
+    'rollback': { type: 'string' },
+  },
+});
+
+try {
+  if (opts.list) {
+    listBatches();
+  } else if (opts.rollback !== undefined) {
+    rollback(opts.rollback);
+  } else if (paths.length) {
+    runImport(paths, {
+      device:     resolveDevice(opts.device),
+      batch:      opts.batch,
+      sensorName: opts.sensor,
+      dryRun:     opts['dry-run'],
+    });
+  } else {
+    console.error('Usage: node import.js [--dry-run] [--device DEVICE_…] [--batch NAME] ' +
+      '[--sensor NAME] <file or directory>...');
+    console.error('       node import.js --list');
+    console.error('       node import.js --rollback NAME');
+    process.exitCode = 2;
+  }
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exitCode = 1;
+}
+
+db.close();
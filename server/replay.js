@@ -0,0 +1,155 @@
+/**
+ * nest-logger — replay.js — run the scraper against saved Nest pages.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * replay.js — run the scraper against saved Nest pages.
+ *
+ *   node replay.js [--unit °C] [ID | FILE]...
+ *   node replay.js --all [--unit °C]
+ *   node replay.js --list
+ *   node replay.js --dump ID > page.html
+ *
+ * When a poll can't read anything from the Nest page, the extension uploads
+ * a sanitized snapshot of it (see health.js).  This runs the extension's own
+ * extract.js over snapshots, by ID (the newest if none is given), or over
+ * HTML files saved some other way, and prints what it reads and which
+ * strategies found it.  After changing extract.js, a snapshot that now reads
+ * cleanly shows the fix works without waiting on the live page.
+ *
+ * --unit is the Nest account's temperature unit, as on the extension's
+ * options page.  Exits with status 1 if any page still gives no values.
+ *
+ * The page is parsed with linkedom, a devDependency; run `npm install` in
+ * server/ if it is missing.
+ */
+
+const fs            = require('fs');
+const { parseArgs } = require('util');
+const { parseHTML } = require('linkedom');
+const db            = require('./db');
+const { extractReading } = require('../extension/extract');
+
+// ── Commands ──────────────────────────────────────────────────────────────────
+
+function listSnapshots() {
+  const snapshots = db.prepare(`
+    SELECT id, timestamp, device, url, reason, LENGTH(html) AS length FROM page_snapshots
+    ORDER BY id
+  `).all();
+  if (!snapshots.length) {
+    console.log('No page snapshots.');
+    return;
+  }
+  for (const s of snapshots) {
+    console.log(
+      `#${s.id}  ${s.timestamp}  ${s.device || '(no device)'}  ${s.url ?? ''}  ` +
+      `${Math.round(s.length / 1024)} KB\n     ${s.reason ?? ''}`
+    );
+  }
+}
+
+function dumpSnapshot(id) {
+  const html = db.prepare(`SELECT html FROM page_snapshots WHERE id = ?`).pluck().get(Number(id));
+  if (html === undefined) throw new Error(`No snapshot #${id}; see --list.`);
+  process.stdout.write(html);
+}
+
+/** Resolves each argument to { label, html }: a snapshot ID, or a file. */
+function loadPages(targets, all) {
+  const selectSnapshot = db.prepare(`SELECT id, timestamp, device, html FROM page_snapshots WHERE id = ?`);
+  const toPage = (s) => ({ label: `#${s.id} (${s.device || 'no device'}, ${s.timestamp})`, html: s.html });
+
+  if (all) {
+    return db.prepare(`SELECT id, timestamp, device, html FROM page_snapshots ORDER BY id`).all().map(toPage);
+  }
+  if (!targets.length) {
+    const newest = db.prepare(`
+      SELECT id, timestamp, device, html FROM page_snapshots ORDER BY id DESC LIMIT 1
+    `).get();
+    if (!newest) throw new Error('No page snapshots to replay; give an HTML file instead.');
+    return [toPage(newest)];
+  }
+  return targets.map((target) => {
+    if (/^\d+$/.test(target)) {
+      const snapshot = selectSnapshot.get(Number(target));
+      if (!snapshot) throw new Error(`No snapshot #${target}; see --list.`);
+      return toPage(snapshot);
+    }
+    return { label: target, html: fs.readFileSync(target, 'utf8') };
+  });
+}
+
+/** Prints what extract.js reads from one page.  Returns whether it read any values. */
+function replay({ label, html }, temperatureUnit) {
+  const { document } = parseHTML(html);
+  const reading = extractReading(document, temperatureUnit);
+  const { strategies } = reading;
+
+  console.log(`── ${label}`);
+  console.log(
+    `  carousel: ${strategies.container ?? 'not found'}  ` +
+    `card: ${strategies.card ?? 'not found'}  ` +
+    `rows: ${Object.entries(strategies.rows).map(([name, n]) => `${name} ×${n}`).join(', ') || 'none'}`
+  );
+
+  let values = 0;
+  for (const [section, sensors] of Object.entries(reading.data)) {
+    const list = Object.entries(sensors)
+      .map(([sensor, value]) => `${sensor} ${value}${reading.units[section][sensor] ?? ''}`);
+    console.log(`  ${section}: ${list.join(', ') || '(none)'}`);
+    values += list.length;
+  }
+  console.log(`  hvac: ${reading.hvac_action}  thermostat: ${JSON.stringify(reading.thermostat)}`);
+  for (const text of reading.skipped)   console.log(`  skipped: ${text}`);
+  for (const text of reading.fallbacks) console.log(`  fallback: ${text}`);
+  console.log(values ? `  → ${values} value(s)` : '  → FAILED: no values');
+  return values > 0;
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+const { values: opts, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    'list': { type: 'boolean', default: false },
+    'all':  { type: 'boolean', default: false },
+    'dump': { type: 'string' },
+    'unit': { type: 'string', default: '°F' },
+  },
+});
+
+try {
+  if (opts.list) {
+    listSnapshots();
+  } else if (opts.dump !== undefined) {
+    dumpSnapshot(opts.dump);
+  } else {
+    if (opts.unit !== '°F' && opts.unit !== '°C') throw new Error('--unit must be °F or °C.');
+    const pages  = loadPages(positionals, opts.all);
+    const failed = pages.filter(page => !replay(page, opts.unit)).length;
+    if (failed) {
+      console.log(`\n${failed} of ${pages.length} page(s) still give no values.`);
+      process.exitCode = 1;
+    }
+  }
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exitCode = 1;
+}
+
+db.close();
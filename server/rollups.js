@@ -0,0 +1,245 @@
+/**
+ * nest-logger — rollups.js — hourly/daily rollups and raw data retention.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * rollups.js — hourly/daily rollups and raw data retention.
+ *
+ * sensor_rollups keeps min / mean / max / sample count per sensor per UTC
+ * hour and day.  Raw readings are folded in once (rolled = 1 marks them) and
+ * merged with what the bucket already holds, so late readings from the
+ * extension's offline queue and imports of old history are counted too.
+ *
+ * hvac_rollups keeps seconds spent heating, cooling and idle per bucket.  A
+ * state lasts until the next one, or at most until a gap (see gaps.js), so a
+ * new state changes its predecessor's duration; those buckets are recomputed from hvac_states, starting at the
+ * day of the predecessor of the earliest new state.
+ *
+ * pruneRaw() deletes rolled-up raw readings older than the retention period.
+ * HVAC and thermostat states are kept but compacted to changes only, which
+ * loses nothing since each state holds until the next.
+ */
+
+const db = require('./db');
+const { gapThresholdMs } = require('./health');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS  = 24 * HOUR_MS;
+
+// strftime() formats giving the UTC start of a row's bucket, in the same
+// ISO 8601 form the rest of the database uses.
+const BUCKET_FORMATS = {
+  [HOUR_MS]: '%Y-%m-%dT%H:00:00.000Z',
+  [DAY_MS]:  '%Y-%m-%dT00:00:00.000Z',
+};
+
+// ── Rolling up ────────────────────────────────────────────────────────────────
+
+const rollSensors = Object.entries(BUCKET_FORMATS).map(([resolution, format]) => db.prepare(`
+  INSERT INTO sensor_rollups (device, resolution, bucket, section, sensor, min, mean, max, samples, unit)
+  SELECT device, ${resolution}, strftime('${format}', timestamp) AS b, section, sensor,
+         MIN(value), AVG(value), MAX(value), COUNT(*), MAX(unit)
+  FROM sensor_readings
+  WHERE rolled = 0
+  GROUP BY device, b, section, sensor
+  ON CONFLICT (device, resolution, bucket, section, sensor) DO UPDATE SET
+    min     = MIN(min, excluded.min),
+    max     = MAX(max, excluded.max),
+    mean    = (mean * samples + excluded.mean * excluded.samples) / (samples + excluded.samples),
+    samples = samples + excluded.samples,
+    unit    = COALESCE(excluded.unit, unit)
+`));
+
+/** Start of the UTC day holding ms. */
+function dayStart(ms) {
+  return Math.floor(ms / DAY_MS) * DAY_MS;
+}
+
+/**
+ * Recomputes a device's hvac_rollups from the start of the day holding
+ * fromMs onward.  The last state is still open, so it is counted once the
+ * next one arrives.
+ */
+function recomputeHvac(device, fromMs) {
+  const startMs  = dayStart(fromMs);
+  const startIso = new Date(startMs).toISOString();
+
+  // bucket start → { heat, cool, idle } seconds, per resolution.
+  const totals = { [HOUR_MS]: new Map(), [DAY_MS]: new Map() };
+  const add = (action, t0, t1) => {
+    for (const resolution of [HOUR_MS, DAY_MS]) {
+      for (let t = t0; t < t1;) {
+        const bucket = Math.floor(t / resolution) * resolution;
+        const end    = Math.min(t1, bucket + resolution);
+        const map    = totals[resolution];
+        if (!map.has(bucket)) map.set(bucket, { heat: 0, cool: 0, idle: 0 });
+        if (action in map.get(bucket)) map.get(bucket)[action] += (end - t) / 1000;
+        t = end;
+      }
+    }
+  };
+
+  // The state in effect when the day opens, then every change after it.
+  const prior = db.prepare(`
+    SELECT timestamp, action FROM hvac_states
+    WHERE device = ? AND timestamp < ?
+    ORDER BY timestamp DESC LIMIT 1
+  `).get(device, startIso);
+  const states = db.prepare(`
+    SELECT timestamp, action FROM hvac_states
+    WHERE device = ? AND timestamp >= ?
+    ORDER BY timestamp
+  `).iterate(device, startIso);
+
+  // A state lasts no longer than a gap after it was recorded: past that the
+  // extension wasn't reporting, and nothing is known.  Where raw data has
+  // been pruned, states are compacted to changes only, so there one may
+  // rightly last longer.
+  const thresholdMs = gapThresholdMs();
+  const prunedMs    = new Date(queryPrunedBefore() ?? 0).getTime();
+  const endOf = ({ since }, next) => since < prunedMs ? next : Math.min(next, since + thresholdMs);
+
+  let current = prior
+    ? { t: startMs, since: new Date(prior.timestamp).getTime(), action: prior.action }
+    : null;
+  for (const { timestamp, action } of states) {
+    const t = new Date(timestamp).getTime();
+    if (current) add(current.action, current.t, endOf(current, t));
+    current = { t, since: t, action };
+  }
+
+  db.prepare(`DELETE FROM hvac_rollups WHERE device = ? AND bucket >= ?`).run(device, startIso);
+  const insert = db.prepare(`
+    INSERT INTO hvac_rollups (device, resolution, bucket, heat_s, cool_s, idle_s)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  for (const [resolution, map] of Object.entries(totals)) {
+    for (const [bucket, s] of map) {
+      insert.run(device, Number(resolution), new Date(bucket).toISOString(), s.heat, s.cool, s.idle);
+    }
+  }
+}
+
+/**
+ * Folds every raw reading and HVAC state not yet rolled up into the rollups.
+ * Cheap when little is new, so ingest calls it after every reading.
+ */
+const rollUp = db.transaction(() => {
+  for (const statement of rollSensors) statement.run();
+  db.prepare(`UPDATE sensor_readings SET rolled = 1 WHERE rolled = 0`).run();
+
+  const dirty = db.prepare(`
+    SELECT device, MIN(timestamp) AS first FROM hvac_states
+    WHERE rolled = 0
+    GROUP BY device
+  `).all();
+  for (const { device, first } of dirty) {
+    // The new state ends its predecessor, so start from there.
+    const predecessor = db.prepare(`
+      SELECT MAX(timestamp) FROM hvac_states WHERE device = ? AND timestamp < ?
+    `).pluck().get(device, first);
+    recomputeHvac(device, new Date(predecessor ?? first).getTime());
+  }
+  db.prepare(`UPDATE hvac_states SET rolled = 1 WHERE rolled = 0`).run();
+});
+
+/**
+ * Discards a device's rollups from the day holding fromIso onward and marks
+ * the raw rows there to be rolled up again, e.g. after raw rows were deleted.
+ * Buckets whose raw readings have been pruned are left alone, since they
+ * can't be rebuilt.  Call rollUp() afterwards.
+ */
+function invalidateRollups(device, fromIso) {
+  const prunedBefore = queryPrunedBefore();
+  let startIso = new Date(dayStart(new Date(fromIso).getTime())).toISOString();
+  if (prunedBefore && startIso < prunedBefore) startIso = prunedBefore;
+
+  db.prepare(`DELETE FROM sensor_rollups WHERE device = ? AND bucket >= ?`).run(device, startIso);
+  db.prepare(`
+    UPDATE sensor_readings SET rolled = 0 WHERE device = ? AND timestamp >= ?
+  `).run(device, startIso);
+
+  // Re-marking the state before the range makes rollUp() recompute the HVAC
+  // rollups from there, even if every later state was deleted.
+  db.prepare(`
+    UPDATE hvac_states SET rolled = 0
+    WHERE device = @device AND timestamp >= COALESCE(
+      (SELECT MAX(timestamp) FROM hvac_states WHERE device = @device AND timestamp < @startIso),
+      @startIso)
+  `).run({ device, startIso });
+}
+
+// ── Retention ─────────────────────────────────────────────────────────────────
+
+/** Raw readings before this ISO time may have been pruned; null if never. */
+function queryPrunedBefore() {
+  return db.prepare(`SELECT pruned_before FROM retention`).pluck().get() ?? null;
+}
+
+/**
+ * Deletes raw readings older than `months` (to the start of that UTC day)
+ * once they are rolled up, and compacts older HVAC and thermostat states to
+ * changes only.  Returns what was removed.
+ */
+const pruneRaw = db.transaction((months) => {
+  rollUp();
+
+  const cutoff = new Date();
+  cutoff.setUTCMonth(cutoff.getUTCMonth() - months);
+  const cutoffIso = new Date(dayStart(cutoff.getTime())).toISOString();
+
+  const readings = db.prepare(`
+    DELETE FROM sensor_readings WHERE timestamp < ? AND rolled = 1
+  `).run(cutoffIso).changes;
+
+  // A state equal to the one before it adds nothing.
+  const hvac = db.prepare(`
+    DELETE FROM hvac_states AS h
+    WHERE timestamp < @cutoffIso AND action = (
+      SELECT p.action FROM hvac_states p
+      WHERE p.device = h.device AND p.timestamp < h.timestamp
+      ORDER BY p.timestamp DESC LIMIT 1
+    )
+  `).run({ cutoffIso }).changes;
+  const thermostat = db.prepare(`
+    DELETE FROM thermostat_states AS t
+    WHERE timestamp < @cutoffIso AND EXISTS (
+      SELECT 1 FROM (
+        SELECT mode, heat_setpoint, cool_setpoint, fan FROM thermostat_states p
+        WHERE p.device = t.device AND p.timestamp < t.timestamp
+        ORDER BY p.timestamp DESC LIMIT 1
+      ) AS p
+      WHERE p.mode IS t.mode AND p.heat_setpoint IS t.heat_setpoint
+        AND p.cool_setpoint IS t.cool_setpoint AND p.fan IS t.fan
+    )
+  `).run({ cutoffIso }).changes;
+
+  db.prepare(`
+    UPDATE retention SET pruned_before = MAX(COALESCE(pruned_before, ''), ?)
+  `).run(cutoffIso);
+
+  return { cutoff: cutoffIso, readings, hvac, thermostat };
+});
+
+module.exports = {
+  HOUR_MS,
+  DAY_MS,
+  rollUp,
+  invalidateRollups,
+  queryPrunedBefore,
+  pruneRaw,
+};
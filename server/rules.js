@@ -0,0 +1,270 @@
+/**
+ * nest-logger — rules.js — manage alert rules.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * rules.js — manage the alert rules alerts.js evaluates.
+ *
+ *   node rules.js --list
+ *   node rules.js --add NAME <condition> [--device DEVICE_…] [--for DURATION]
+ *                 [--webhook URL] [--command CMD]
+ *   node rules.js --enable ID | --disable ID | --remove ID
+ *   node rules.js --log [--limit N]
+ *
+ * The condition is one of:
+ *
+ *   --section SECTION [--sensor NAME] --above N | --below N [--hysteresis N]
+ *       A sensor's value, in the stored unit (°F for temperatures).  NAME is
+ *       the name shown on the chart or the one reported.  Without --sensor,
+ *       every sensor in the section is watched separately.
+ *   --hvac heat | cool
+ *       The system running without a break.  Needs --for.
+ *   --stale
+ *       No reading arriving.  Needs --for.
+ *
+ * --for is how long the condition must hold before the alert fires, e.g.
+ * 30m or 3h.  Without --device, a rule covers every thermostat.  Alerts
+ * always go in the log (--log) and on the chart; --webhook and --command
+ * send them on as well.
+ *
+ * The running server picks up changes on its next check.  Rules are managed
+ * here rather than over HTTP because a rule's command runs on the server.
+ */
+
+const { parseArgs } = require('util');
+const db            = require('./db');
+const { fmtDuration } = require('./format');
+
+const DURATION_UNITS_S = { s: 1, m: 60, h: 3600, d: 86_400 };
+
+/** Parses "90", "30m", "3h" or "1.5d" into seconds; NaN if unreadable. */
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)([smhd]?)$/.exec(value.trim());
+  if (!match) return NaN;
+  return Math.round(Number(match[1]) * DURATION_UNITS_S[match[2] || 's']);
+}
+
+/**
+ * Builds an alert_rules row from the command-line options.  Returns the row,
+ * or an error message string.
+ */
+function parseRule(name, opts) {
+  const conditions = [
+    opts.above !== undefined || opts.below !== undefined,
+    opts.hvac !== undefined,
+    opts.stale,
+  ].filter(Boolean).length;
+  if (conditions !== 1) {
+    return 'Give exactly one condition: --above/--below, --hvac or --stale.';
+  }
+
+  const rule = {
+    name,
+    kind:        null,
+    device:      opts.device ?? null,
+    section:     null,
+    sensor:      null,
+    comparison:  null,
+    threshold:   null,
+    hysteresis:  0,
+    action:      null,
+    duration_s:  0,
+    webhook_url: opts.webhook ?? null,
+    command:     opts.command ?? null,
+  };
+
+  if (opts.for !== undefined) {
+    rule.duration_s = parseDuration(opts.for);
+    if (!(rule.duration_s >= 0)) return '--for must be a duration, e.g. 30m or 3h.';
+  }
+
+  if (opts.stale) {
+    rule.kind = 'stale';
+  } else if (opts.hvac !== undefined) {
+    rule.kind   = 'hvac';
+    rule.action = opts.hvac;
+    if (!['heat', 'cool'].includes(rule.action)) return '--hvac must be heat or cool.';
+  } else {
+    rule.kind       = 'threshold';
+    rule.section    = opts.section ?? null;
+    rule.sensor     = opts.sensor ?? null;
+    rule.comparison = opts.above !== undefined ? '>' : '<';
+    rule.threshold  = Number(opts.above ?? opts.below);
+    rule.hysteresis = Number(opts.hysteresis ?? 0);
+    if (!rule.section) return '--section is required with --above or --below.';
+    if (opts.above !== undefined && opts.below !== undefined) return 'Give --above or --below, not both.';
+    if (!Number.isFinite(rule.threshold)) return '--above / --below must be a number.';
+    if (!(rule.hysteresis >= 0)) return '--hysteresis must be a number, 0 or more.';
+  }
+  if (rule.kind !== 'threshold' && !rule.duration_s) {
+    return `--for is required with --${rule.kind}.`;
+  }
+
+  if (rule.webhook_url) {
+    let url;
+    try {
+      url = new URL(rule.webhook_url);
+    } catch {
+      return '--webhook must be a URL.';
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return '--webhook must be an http(s) URL.';
+  }
+  return rule;
+}
+
+/** "Basement > 80 (±2) for 10m", etc. */
+function describeRule(rule) {
+  let text;
+  if (rule.kind === 'threshold') {
+    text = `${rule.section}/${rule.sensor ?? '*'} ${rule.comparison} ${rule.threshold}`;
+    if (rule.hysteresis) text += ` (hysteresis ${rule.hysteresis})`;
+  } else if (rule.kind === 'hvac') {
+    text = `${rule.action === 'heat' ? 'heating' : 'cooling'}`;
+  } else {
+    text = 'no readings';
+  }
+  if (rule.duration_s) text += ` for ${fmtDuration(rule.duration_s)}`;
+  return text;
+}
+
+// ── Commands ──────────────────────────────────────────────────────────────────
+
+function listRules() {
+  const rules = db.prepare(`SELECT * FROM alert_rules ORDER BY id`).all();
+  if (!rules.length) {
+    console.log('No rules.');
+    return;
+  }
+  for (const rule of rules) {
+    const targets = [
+      rule.webhook_url && `webhook ${rule.webhook_url}`,
+      rule.command && `command ${JSON.stringify(rule.command)}`,
+    ].filter(Boolean).join(', ') || 'chart only';
+    console.log(
+      `#${rule.id}  ${rule.enabled ? '' : '(disabled) '}${rule.name}: ${describeRule(rule)}` +
+      `  on ${rule.device ?? 'every thermostat'}  → ${targets}`
+    );
+  }
+}
+
+function addRule(name, opts) {
+  const rule = parseRule(name, opts);
+  if (typeof rule === 'string') throw new Error(rule);
+  const id = db.prepare(`
+    INSERT INTO alert_rules (name, kind, device, section, sensor, comparison, threshold,
+                             hysteresis, action, duration_s, webhook_url, command)
+    VALUES (@name, @kind, @device, @section, @sensor, @comparison, @threshold,
+            @hysteresis, @action, @duration_s, @webhook_url, @command)
+  `).run(rule).lastInsertRowid;
+  console.log(`Added rule #${id} "${name}": ${describeRule(rule)}.`);
+}
+
+/** Runs fn on rule id inside a transaction; throws if there is no such rule. */
+function withRule(id, fn) {
+  db.transaction(() => {
+    const rule = db.prepare(`SELECT * FROM alert_rules WHERE id = ?`).get(Number(id));
+    if (!rule) throw new Error(`No rule #${id}; see --list.`);
+    fn(rule);
+  })();
+}
+
+// Disabling or removing a rule forgets what it was tracking, so an alert
+// still firing is left open in the log rather than cleared.
+function setEnabled(id, enabled) {
+  withRule(id, (rule) => {
+    db.prepare(`UPDATE alert_rules SET enabled = ? WHERE id = ?`).run(Number(enabled), rule.id);
+    if (!enabled) db.prepare(`DELETE FROM alert_state WHERE rule_id = ?`).run(rule.id);
+    console.log(`${enabled ? 'Enabled' : 'Disabled'} rule #${rule.id} "${rule.name}".`);
+  });
+}
+
+function removeRule(id) {
+  withRule(id, (rule) => {
+    db.prepare(`DELETE FROM alert_state WHERE rule_id = ?`).run(rule.id);
+    db.prepare(`DELETE FROM alert_rules WHERE id = ?`).run(rule.id);
+    console.log(`Removed rule #${rule.id} "${rule.name}".`);
+  });
+}
+
+function showLog(limit) {
+  const events = db.prepare(`
+    SELECT * FROM alert_events ORDER BY fired_at DESC, id DESC LIMIT ?
+  `).all(limit);
+  if (!events.length) {
+    console.log('No alerts have fired.');
+    return;
+  }
+  for (const e of events.reverse()) {
+    console.log(`${e.fired_at} → ${e.cleared_at ?? 'still firing'}  ${e.message}`);
+  }
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+const { values: opts } = parseArgs({
+  options: {
+    'list':       { type: 'boolean', default: false },
+    'add':        { type: 'string' },
+    'enable':     { type: 'string' },
+    'disable':    { type: 'string' },
+    'remove':     { type: 'string' },
+    'log':        { type: 'boolean', default: false },
+    'limit':      { type: 'string', default: '50' },
+    'device':     { type: 'string' },
+    'section':    { type: 'string' },
+    'sensor':     { type: 'string' },
+    'above':      { type: 'string' },
+    'below':      { type: 'string' },
+    'hysteresis': { type: 'string' },
+    'hvac':       { type: 'string' },
+    'stale':      { type: 'boolean', default: false },
+    'for':        { type: 'string' },
+    'webhook':    { type: 'string' },
+    'command':    { type: 'string' },
+  },
+});
+
+try {
+  if (opts.list) {
+    listRules();
+  } else if (opts.add !== undefined) {
+    addRule(opts.add, opts);
+  } else if (opts.enable !== undefined) {
+    setEnabled(opts.enable, true);
+  } else if (opts.disable !== undefined) {
+    setEnabled(opts.disable, false);
+  } else if (opts.remove !== undefined) {
+    removeRule(opts.remove);
+  } else if (opts.log) {
+    showLog(Number(opts.limit) || 50);
+  } else {
+    console.error('Usage: node rules.js --list');
+    console.error('       node rules.js --add NAME --section SECTION [--sensor NAME] ' +
+      '--above N | --below N [--hysteresis N] [--for DURATION] [--device DEVICE_…] ' +
+      '[--webhook URL] [--command CMD]');
+    console.error('       node rules.js --add NAME --hvac heat|cool --for DURATION [...]');
+    console.error('       node rules.js --add NAME --stale --for DURATION [...]');
+    console.error('       node rules.js --enable ID | --disable ID | --remove ID');
+    console.error('       node rules.js --log [--limit N]');
+    process.exitCode = 2;
+  }
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exitCode = 1;
+}
+
+db.close();
@@ -28,6 +28,9 @@
  */
 
 const db = require('./db');
+const { rollUp } = require('./rollups');
+const { SECTION_UNITS } = require('./units');
+const { registerSensor } = require('./sensors');
 
 // ── Dummy data generator ──────────────────────────────────────────────────────
 
@@ -38,13 +41,16 @@ function generateDummyData() {
     'Kitchen',
     'Basement',
     'Outside',
+    'Entryway',
   ];
 
-  // base: mid-point temperature (°F)
-  // amp:  diurnal swing amplitude (°F)
+  // base: mid-point temperature (°F), or relative humidity (%)
+  // amp:  diurnal swing amplitude (°F or %)
   // phase: shifts the sine wave — π offsets interior rooms so they're warmest
   //        in the evening (people home, cooking) and coolest before dawn.
   //        Outside peaks around solar noon (phase = -π/2).
+  // section: the Nest UI section the sensor appears under, if not
+  //          'TEMPERATURE SENSORS'.
   // Thermostat amplitude is wide enough to cross both thresholds (69 / 73 °F)
   // within each day so heat, cool, and idle all appear in the chart.
   const CONFIG = {
@@ -53,6 +59,8 @@ function generateDummyData() {
     'Kitchen':             { base: 69.0, amp: 2.5, phase: Math.PI * 0.8 },
     'Basement':            { base: 78.0, amp: 1.0, phase: Math.PI       },
     'Outside':             { base: 42.0, amp: 13.0, phase: -Math.PI / 2 },
+    'Entryway':            { base: 41.0, amp: 4.0, phase: Math.PI * 0.6,
+                             section: 'INSIDE HUMIDITY' },
   };
 
   const INTERVAL_MS = 5 * 60 * 1000;           // 5 minutes
@@ -89,30 +97,53 @@ function generateDummyData() {
     hvac_actions.push(thermoTemp < 69 ? 'heat' : thermoTemp > 73 ? 'cool' : 'idle');
   }
 
-  return { sensors: SENSOR_NAMES, timestamps, readings, hvac_actions };
+  const sections = Object.fromEntries(
+    SENSOR_NAMES.map(n => [n, CONFIG[n].section ?? 'TEMPERATURE SENSORS'])
+  );
+
+  return { sensors: SENSOR_NAMES, sections, timestamps, readings, hvac_actions };
 }
 
 // ── Insert ────────────────────────────────────────────────────────────────────
 
+// A made-up thermostat, named so it's easy to spot in the device selector.
+const DEVICE      = 'DEVICE_SEED000000000000';
+const DEVICE_NAME = 'Seed data';
+
+const insertDevice = db.prepare(`
+  INSERT OR IGNORE INTO devices (id, name) VALUES (?, ?)
+`);
 const insertReading = db.prepare(`
-  INSERT OR IGNORE INTO sensor_readings (timestamp, section, sensor, value)
-  VALUES (?, ?, ?, ?)
+  INSERT OR IGNORE INTO sensor_readings (device, timestamp, section, sensor, value, unit)
+  VALUES (?, ?, ?, ?, ?, ?)
 `);
 const insertHvac = db.prepare(`
-  INSERT OR IGNORE INTO hvac_states (timestamp, action)
-  VALUES (?, ?)
+  INSERT OR IGNORE INTO hvac_states (device, timestamp, action)
+  VALUES (?, ?, ?)
+`);
+// The simulated thermostat runs in heat·cool mode between the same 69 / 73 °F
+// thresholds generateDummyData() uses, with the fan on whenever it runs.
+const insertThermostat = db.prepare(`
+  INSERT OR IGNORE INTO thermostat_states
+    (device, timestamp, mode, heat_setpoint, cool_setpoint, fan)
+  VALUES (?, ?, 'heat-cool', 69, 73, ?)
 `);
 
 const data = generateDummyData();
 
 db.transaction(() => {
+  insertDevice.run(DEVICE, DEVICE_NAME);
+  for (const sensor of data.sensors) registerSensor(DEVICE, data.sections[sensor], sensor);
   for (let i = 0; i < data.timestamps.length; i++) {
     const ts = data.timestamps[i];
     for (const sensor of data.sensors) {
-      insertReading.run(ts, 'TEMPERATURE SENSORS', sensor, data.readings[sensor][i]);
+      const section = data.sections[sensor];
+      insertReading.run(DEVICE, ts, section, sensor, data.readings[sensor][i], SECTION_UNITS[section]);
     }
-    insertHvac.run(ts, data.hvac_actions[i]);
+    insertHvac.run(DEVICE, ts, data.hvac_actions[i]);
+    insertThermostat.run(DEVICE, ts, data.hvac_actions[i] === 'idle' ? 0 : 1);
   }
+  rollUp();
 })();
 
 const hvacCounts = data.hvac_actions.reduce((acc, a) => {
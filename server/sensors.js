@@ -0,0 +1,190 @@
+/**
+ * nest-logger — sensors.js — display rules for sensors.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * sensors.js — display rules for sensors.
+ *
+ * Sensor names are whatever the Nest page shows, so renaming a sensor in the
+ * Nest app starts a new one.  Every name a thermostat reports gets a row in
+ * sensors, where the chart's Sensors panel can set:
+ *
+ *   display_name  what the chart and exports call it.
+ *   alias_of      another sensor of the same section to merge it into, e.g.
+ *                 an old name into the new one, so both are drawn as one
+ *                 line under the other's settings.
+ *   hidden        leaves it out of the chart and exports.
+ *   color         its line color, as "#rrggbb".
+ *   sort_order    its place in its legend group; unordered sensors follow,
+ *                 in the order they first reported.
+ *
+ * Readings are stored under the names reported, so every rule can be
+ * changed or undone later.  Queries join SENSOR_RULES_SQL to apply them.
+ *
+ * Nest names the outside temperature after the weather station's location.
+ * A thermostat's first outside sensor is named 'Weather', and any it
+ * reports later are merged into that one.
+ */
+
+const db = require('./db');
+const { HOUR_MS } = require('./rollups');
+
+const OUTSIDE_SECTION = 'OUTSIDE TEMP.';
+const WEATHER_NAME    = 'Weather';
+
+const COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+// ── Queries ───────────────────────────────────────────────────────────────────
+
+// Joined to a query over sensor_readings or sensor_rollups aliased r: s is
+// the rules row for the name recorded, c for the sensor it is shown as
+// (itself, unless merged into another).  Rows without rules get defaults.
+const SENSOR_RULES_SQL = `
+  LEFT JOIN sensors s ON s.device = r.device AND s.section = r.section AND s.name = r.sensor
+  LEFT JOIN sensors c ON c.device = r.device AND c.section = r.section
+                     AND c.name = COALESCE(s.alias_of, r.sensor)
+`;
+
+// The sensor a reading is shown as, its display name, and whether it's shown.
+const SENSOR_NAME_SQL  = `COALESCE(s.alias_of, r.sensor)`;
+const SENSOR_LABEL_SQL = `COALESCE(c.display_name, s.alias_of, r.sensor)`;
+const SENSOR_SHOWN_SQL = `NOT COALESCE(c.hidden, 0)`;
+
+// ── Registering ───────────────────────────────────────────────────────────────
+
+const insertSensor = db.prepare(`
+  INSERT OR IGNORE INTO sensors (device, section, name) VALUES (?, ?, ?)
+`);
+
+const selectWeather = db.prepare(`
+  SELECT name FROM sensors
+  WHERE device = ? AND section = '${OUTSIDE_SECTION}' AND alias_of IS NULL AND name != ?
+  ORDER BY id LIMIT 1
+`).pluck();
+
+/**
+ * Adds a rules row for a sensor the first time it reports.  Call alongside
+ * inserting its readings.
+ */
+function registerSensor(device, section, name) {
+  const { changes, lastInsertRowid } = insertSensor.run(device, section, name);
+  if (!changes || section !== OUTSIDE_SECTION) return;
+
+  const weather = selectWeather.get(device, name);
+  if (weather !== undefined) {
+    db.prepare(`UPDATE sensors SET alias_of = ? WHERE id = ?`).run(weather, lastInsertRowid);
+  } else {
+    db.prepare(`UPDATE sensors SET display_name = ? WHERE id = ?`).run(WEATHER_NAME, lastInsertRowid);
+  }
+}
+
+// ── Managing ──────────────────────────────────────────────────────────────────
+
+/**
+ * Every sensor device has reported, with its rules and the first and last
+ * hour it has readings for (from the hourly rollups; null if none).
+ */
+function querySensors(device) {
+  return db.prepare(`
+    SELECT s.id, s.section, s.name, s.display_name, s.alias_of, s.hidden, s.color, s.sort_order,
+           MIN(r.bucket) AS first_seen, MAX(r.bucket) AS last_seen
+    FROM sensors s
+    LEFT JOIN sensor_rollups r ON r.device = s.device AND r.section = s.section
+                              AND r.sensor = s.name AND r.resolution = ?
+    WHERE s.device = ?
+    GROUP BY s.id
+    ORDER BY s.section, s.alias_of IS NOT NULL, s.sort_order IS NULL, s.sort_order, first_seen, s.name
+  `).all(HOUR_MS, device).map(row => ({ ...row, hidden: !!row.hidden }));
+}
+
+/**
+ * Validates the body of PUT /api/sensors/:id:
+ *
+ *   { display_name, alias_of, hidden, color, sort_order }
+ *
+ * Every field is optional and missing ones are cleared, so the body is the
+ * sensor's complete set of rules.  Returns the rules, or an error message.
+ */
+function parseSensorUpdate(body) {
+  const {
+    display_name = null, alias_of = null, hidden = false, color = null, sort_order = null,
+  } = body ?? {};
+
+  for (const [name, value] of Object.entries({ display_name, alias_of })) {
+    if (value !== null && typeof value !== 'string') return `${name} must be a string.`;
+  }
+  if (typeof hidden !== 'boolean') {
+    return 'hidden must be true or false.';
+  }
+  if (color !== null && !(typeof color === 'string' && COLOR_RE.test(color))) {
+    return 'color must be a "#rrggbb" color.';
+  }
+  if (sort_order !== null && !Number.isInteger(sort_order)) {
+    return 'sort_order must be an integer.';
+  }
+  return {
+    display_name: display_name?.trim() || null,
+    alias_of:     alias_of || null,
+    hidden,
+    color:        color?.toLowerCase() ?? null,
+    sort_order,
+  };
+}
+
+/**
+ * Replaces a sensor's rules with ones from parseSensorUpdate().  Merging
+ * into a sensor that is itself merged goes to the one that one is merged
+ * into, and sensors merged into this one follow it.  Returns the updated
+ * row, null if there's no such sensor, or an error message.
+ */
+const updateSensor = db.transaction((id, update) => {
+  const sensor = db.prepare(`SELECT * FROM sensors WHERE id = ?`).get(id);
+  if (!sensor) return null;
+
+  let aliasOf = update.alias_of;
+  if (aliasOf !== null) {
+    const target = db.prepare(`
+      SELECT * FROM sensors WHERE device = ? AND section = ? AND name = ?
+    `).get(sensor.device, sensor.section, aliasOf);
+    if (!target) return `No sensor "${aliasOf}" in ${sensor.section} to merge into.`;
+    aliasOf = target.alias_of ?? target.name;
+    if (aliasOf === sensor.name) return 'A sensor can\'t be merged into itself.';
+
+    db.prepare(`
+      UPDATE sensors SET alias_of = ? WHERE device = ? AND section = ? AND alias_of = ?
+    `).run(aliasOf, sensor.device, sensor.section, sensor.name);
+  }
+
+  db.prepare(`
+    UPDATE sensors
+    SET display_name = @display_name, alias_of = @alias_of, hidden = @hidden,
+        color = @color, sort_order = @sort_order
+    WHERE id = @id
+  `).run({ ...update, alias_of: aliasOf, hidden: update.hidden ? 1 : 0, id });
+  return db.prepare(`SELECT * FROM sensors WHERE id = ?`).get(id);
+});
+
+module.exports = {
+  SENSOR_LABEL_SQL,
+  SENSOR_NAME_SQL,
+  SENSOR_RULES_SQL,
+  SENSOR_SHOWN_SQL,
+  parseSensorUpdate,
+  querySensors,
+  registerSensor,
+  updateSensor,
+};
@@ -19,153 +19,1458 @@
 const express = require('express');
 const path    = require('path');
 const db      = require('./db');
+const { HOUR_MS, DAY_MS, rollUp, queryPrunedBefore, pruneRaw } = require('./rollups');
+const { UNITS, SECTION_UNITS, toCanonical } = require('./units');
+const { evaluateAlerts } = require('./alerts');
+const { DEFAULT_BASE_F, isTimeZone, queryAnalytics } = require('./analytics');
+const { queryFaults } = require('./faults');
+const { queryThermal } = require('./thermal');
+const { queryGaps } = require('./gaps');
+const {
+  SENSOR_LABEL_SQL, SENSOR_NAME_SQL, SENSOR_RULES_SQL, SENSOR_SHOWN_SQL,
+  parseSensorUpdate, querySensors, registerSensor, updateSensor,
+} = require('./sensors');
+const { isRequired, requireAccess, signIn } = require('./auth');
+const {
+  parseExtensionEvent, recordExtensionEvents, parsePageSnapshot, recordPageSnapshot,
+  gapThresholdMs, queryHealth,
+} = require('./health');
 
 const app  = express();
-const PORT = 51920;  // E = 5, S = 19, T = 20
+// Set NEST_LOGGER_PORT to listen elsewhere; the extension's options page must
+// then point at the new port.
+const PORT = Number(process.env.NEST_LOGGER_PORT) || 51920;  // E = 5, S = 19, T = 20
+// Only this machine can connect by default.  Set NEST_LOGGER_HOST to 0.0.0.0
+// (or one interface's address) to serve the network, ideally with tokens.
+const HOST = process.env.NEST_LOGGER_HOST || '127.0.0.1';
 
-app.use(express.json());
+// Route guards; see auth.js.  Each lets everything through until a token
+// for it has been made.
+const ingestAccess = requireAccess('ingest');
+const readAccess   = requireAccess('read');
+const writeAccess  = requireAccess('write');
+
+/**
+ * Answers 400 if any query parameter was given more than once (or as an
+ * object, e.g. ?device[x]=1).  Express passes those on as arrays and
+ * objects, which every route expects to be strings.
+ */
+function singleQueryParams(req, res, next) {
+  const repeated = Object.keys(req.query).find(name => typeof req.query[name] !== 'string');
+  if (repeated) {
+    return res.status(400).json({ error: `${repeated} must be given at most once.` });
+  }
+  next();
+}
+
+// Batched ingest bodies can carry hours of queued readings.
+app.use(express.json({ limit: '5mb' }));
+app.use('/api', singleQueryParams);
+app.get('/', signIn);
 app.use(express.static(path.join(__dirname, 'public')));
 
+// ── Live updates ──────────────────────────────────────────────────────────────
+
+// Open Server-Sent Events responses, one per subscribed chart tab.
+const eventClients = new Set();
+
+// Browsers reconnect this long after a dropped stream.
+const EVENTS_RETRY_MS     = 5000;
+// Comment lines sent this often keep idle connections from being timed out by
+// proxies and let us notice clients that have gone away.
+const EVENTS_KEEPALIVE_MS = 30_000;
+
+/** Sends a named event with a JSON payload to every subscribed client. */
+function broadcast(event, data) {
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of eventClients) res.write(message);
+}
+
+app.get('/api/events', readAccess, (req, res) => {
+  res.set({
+    'Content-Type':  'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection':    'keep-alive',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${EVENTS_RETRY_MS}\n\n`);
+
+  eventClients.add(res);
+  console.log(`[/api/events] client connected (${eventClients.size} open).`);
+
+  req.on('close', () => {
+    eventClients.delete(res);
+    console.log(`[/api/events] client disconnected (${eventClients.size} open).`);
+  });
+});
+
+setInterval(() => {
+  for (const res of eventClients) res.write(': keepalive\n\n');
+}, EVENTS_KEEPALIVE_MS);
+
 // ── Ingest ────────────────────────────────────────────────────────────────────
 
 const insertReading = db.prepare(`
-  INSERT OR IGNORE INTO sensor_readings (timestamp, section, sensor, value)
-  VALUES (?, ?, ?, ?)
+  INSERT OR IGNORE INTO sensor_readings (device, timestamp, section, sensor, value, unit)
+  VALUES (?, ?, ?, ?, ?, ?)
 `);
 
 const insertHvac = db.prepare(`
-  INSERT OR IGNORE INTO hvac_states (timestamp, action)
-  VALUES (?, ?)
+  INSERT OR IGNORE INTO hvac_states (device, timestamp, action)
+  VALUES (?, ?, ?)
 `);
 
-app.post('/api/readings', (req, res) => {
-  const { timestamp, data, hvac_action } = req.body;
+const insertThermostat = db.prepare(`
+  INSERT OR IGNORE INTO thermostat_states
+    (device, timestamp, mode, heat_setpoint, cool_setpoint, fan)
+  VALUES (@device, @timestamp, @mode, @heat_setpoint, @cool_setpoint, @fan)
+`);
+
+const insertDevice = db.prepare(`
+  INSERT OR IGNORE INTO devices (id) VALUES (?)
+`);
+
+// Thermostat modes as the scraper reports them.
+const THERMOSTAT_MODES = ['heat', 'cool', 'heat-cool', 'eco', 'off'];
+
+// Units the thermostat's setpoints may be given in.
+const SETPOINT_UNITS = ['°F', '°C'];
+
+// HVAC states as the scraper reports them.
+const HVAC_ACTIONS = ['heat', 'cool', 'idle'];
+
+// A date and time with a UTC offset, as toISOString() writes them.
+const ISO_TIMESTAMP_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})$/;
+
+/** Parses an ISO 8601 timestamp with its time zone into UTC ms; NaN if it isn't one. */
+function parseIsoTimestamp(value) {
+  return typeof value === 'string' && ISO_TIMESTAMP_RE.test(value) ? new Date(value).getTime() : NaN;
+}
+
+/**
+ * Validates the optional `thermostat` object of an ingest body and converts it
+ * to insertThermostat parameters, with setpoints in °F.  Every field may be
+ * null when the scraper couldn't read it; setpoints without a unit are taken
+ * to be °F.  Returns an error message string if invalid.
+ */
+function parseThermostatState(device, timestamp, thermostat) {
+  if (typeof thermostat !== 'object' || thermostat === null) {
+    return 'thermostat must be an object.';
+  }
+  const {
+    mode = null, heat_setpoint = null, cool_setpoint = null, fan = null, unit = null,
+  } = thermostat;
+  if (mode !== null && !THERMOSTAT_MODES.includes(mode)) {
+    return `thermostat.mode must be one of: ${THERMOSTAT_MODES.join(', ')}.`;
+  }
+  for (const [name, value] of Object.entries({ heat_setpoint, cool_setpoint })) {
+    if (value !== null && !Number.isFinite(value)) return `thermostat.${name} must be a number.`;
+  }
+  if (fan !== null && typeof fan !== 'boolean') {
+    return 'thermostat.fan must be a boolean.';
+  }
+  if (unit !== null && !SETPOINT_UNITS.includes(unit)) {
+    return `thermostat.unit must be one of: ${SETPOINT_UNITS.join(', ')}.`;
+  }
+  const toF = value => (value === null ? null : toCanonical(value, unit ?? '°F').value);
+  return {
+    device, timestamp, mode,
+    heat_setpoint: toF(heat_setpoint),
+    cool_setpoint: toF(cool_setpoint),
+    fan: fan === null ? null : Number(fan),
+  };
+}
+
+/**
+ * Validates one reading as posted by the extension:
+ *   { device?, timestamp, data: { section: { sensor: value } }, hvac_action,
+ *     units?: { section: { sensor: unit } },
+ *     thermostat?: { mode, heat_setpoint, cool_setpoint, fan, unit? } }
+ * device is the DEVICE_… segment of the thermostat page URL.  timestamp is
+ * ISO 8601 with a time zone, every value a number, and hvac_action one of
+ * HVAC_ACTIONS.  units gives the unit each value was shown in (°F, °C or %);
+ * values without one are assumed to be in their section's usual unit.
+ *
+ * Returns the reading with defaults filled in, the timestamp in UTC, and
+ * values converted to the units they are stored in (see units.js), or an
+ * error message string.
+ */
+function parseReading(body) {
+  const { device = '', timestamp, data, hvac_action, units = {}, thermostat } = body ?? {};
 
   if (!timestamp || typeof data !== 'object' || !hvac_action) {
-    return res.status(400).json({ error: 'Body must include timestamp, data, and hvac_action.' });
+    return 'Body must include timestamp, data, and hvac_action.';
+  }
+  const ms = parseIsoTimestamp(timestamp);
+  if (Number.isNaN(ms)) {
+    return 'timestamp must be an ISO 8601 timestamp with a time zone.';
+  }
+  const utcTimestamp = new Date(ms).toISOString();
+  if (typeof device !== 'string') {
+    return 'device must be a string.';
+  }
+  if (!HVAC_ACTIONS.includes(hvac_action)) {
+    return `hvac_action must be one of: ${HVAC_ACTIONS.join(', ')}.`;
+  }
+  if (data === null || Array.isArray(data)) {
+    return 'data must be an object.';
+  }
+  if (typeof units !== 'object' || units === null) {
+    return 'units must be an object.';
   }
 
-  let count = 0;
-  db.transaction(() => {
-    for (const [section, sensors] of Object.entries(data)) {
-      for (const [sensor, value] of Object.entries(sensors)) {
-        insertReading.run(timestamp, section, sensor, value);
-        count++;
+  const values = [];
+  for (const [section, sensors] of Object.entries(data)) {
+    if (typeof sensors !== 'object' || sensors === null || Array.isArray(sensors)) {
+      return `data["${section}"] must be an object.`;
+    }
+    for (const [sensor, value] of Object.entries(sensors)) {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `data["${section}"]["${sensor}"] must be a number.`;
+      }
+      const unit = units[section]?.[sensor] ?? null;
+      if (unit !== null && !UNITS.includes(unit)) {
+        return `units["${section}"]["${sensor}"] must be one of: ${UNITS.join(', ')}.`;
       }
+      values.push({ section, sensor, ...toCanonical(value, unit, section) });
     }
-    insertHvac.run(timestamp, hvac_action);
+  }
+
+  const thermostatRow = thermostat === undefined
+    ? null
+    : parseThermostatState(device, utcTimestamp, thermostat);
+  if (typeof thermostatRow === 'string') return thermostatRow;
+
+  return { device, timestamp: utcTimestamp, values, hvac_action, thermostatRow };
+}
+
+/**
+ * Stores one reading from parseReading().  Call inside a transaction, and
+ * call rollUp() before it commits.  Returns the number of sensor values
+ * inserted.
+ */
+function storeReading({ device, timestamp, values, hvac_action, thermostatRow }) {
+  let count = 0;
+  insertDevice.run(device);
+  for (const { section, sensor, value, unit } of values) {
+    registerSensor(device, section, sensor);
+    insertReading.run(device, timestamp, section, sensor, value, unit);
+    count++;
+  }
+  insertHvac.run(device, timestamp, hvac_action);
+  if (thermostatRow) insertThermostat.run(thermostatRow);
+  return count;
+}
+
+// Body: one reading; see parseReading().
+app.post('/api/readings', ingestAccess, (req, res) => {
+  const reading = parseReading(req.body);
+  if (typeof reading === 'string') {
+    return res.status(400).json({ error: reading });
+  }
+
+  const { device, timestamp, hvac_action } = reading;
+  const count = db.transaction(() => {
+    const n = storeReading(reading);
+    rollUp();
+    return n;
   })();
 
-  console.log(`[POST /api/readings] ${timestamp} — inserted ${count} value(s), hvac: ${hvac_action}.`);
+  console.log(`[POST /api/readings] ${device || '(no device)'} ${timestamp} — inserted ${count} value(s), hvac: ${hvac_action}.`);
+  broadcast('reading', { device, timestamp, hvac_action, inserted: count });
+  checkAlerts();
   res.json({ ok: true, inserted: count });
 });
 
+// Body: { readings: [reading, …] } — readings the extension queued while the
+// server was unreachable, oldest first.  The valid ones are stored in one
+// transaction; invalid ones are listed in the response as rejected: [{ index,
+// error }], so one bad reading doesn't hold up the rest.  Already-stored
+// readings are ignored, so a batch that is retried after a lost response does
+// no harm.
+app.post('/api/readings/batch', ingestAccess, (req, res) => {
+  const { readings } = req.body;
+  if (!Array.isArray(readings)) {
+    return res.status(400).json({ error: 'Body must include a readings array.' });
+  }
+
+  const rejected = [];
+  const parsed   = readings.map(parseReading).filter((r, index) => {
+    if (typeof r === 'string') rejected.push({ index, error: r });
+    return typeof r !== 'string';
+  });
+  for (const { index, error } of rejected) {
+    console.warn(`[POST /api/readings/batch] Rejected readings[${index}]: ${error}`);
+  }
+
+  const count = db.transaction(() => {
+    const n = parsed.reduce((sum, reading) => sum + storeReading(reading), 0);
+    rollUp();
+    return n;
+  })();
+
+  // One event per device is enough for chart tabs to fetch everything new.
+  const latestByDevice = new Map();
+  for (const r of parsed) {
+    const prev = latestByDevice.get(r.device);
+    if (!prev || r.timestamp > prev.timestamp) latestByDevice.set(r.device, r);
+  }
+  for (const { device, timestamp, hvac_action } of latestByDevice.values()) {
+    broadcast('reading', { device, timestamp, hvac_action, inserted: count });
+  }
+
+  console.log(`[POST /api/readings/batch] ${parsed.length} reading(s) — inserted ${count} value(s).`);
+  checkAlerts();
+  res.json({ ok: true, readings: parsed.length, inserted: count, rejected });
+});
+
+// Body: { events: [event, …] } — what the extension reports about itself:
+// poll diagnostics, errors, tab reloads and heartbeats.  See health.js.
+app.post('/api/extension/events', ingestAccess, (req, res) => {
+  const { events } = req.body;
+  if (!Array.isArray(events)) {
+    return res.status(400).json({ error: 'Body must include an events array.' });
+  }
+
+  const parsed = events.map(parseExtensionEvent);
+  const badIndex = parsed.findIndex(e => typeof e === 'string');
+  if (badIndex !== -1) {
+    return res.status(400).json({ error: `events[${badIndex}]: ${parsed[badIndex]}` });
+  }
+  recordExtensionEvents(parsed);
+
+  // Routine polls and heartbeats would drown out the rest.
+  for (const { kind, device, message } of parsed) {
+    if (kind === 'error' || kind === 'reload') {
+      console.log(`[extension] ${kind} ${device || '(no device)'}: ${message ?? ''}`);
+    }
+  }
+  broadcast('health', { events: parsed.length });
+  res.json({ ok: true, recorded: parsed.length });
+});
+
+// Body: { timestamp, device?, url?, reason?, html } — a sanitized copy of the
+// Nest page from a poll where nothing could be scraped.  Replay it with
+// replay.js.
+app.post('/api/extension/snapshots', ingestAccess, (req, res) => {
+  const snapshot = parsePageSnapshot(req.body);
+  if (typeof snapshot === 'string') {
+    return res.status(400).json({ error: snapshot });
+  }
+  const id = recordPageSnapshot(snapshot);
+  console.log(
+    `[extension] snapshot #${id} ${snapshot.device || '(no device)'} ` +
+    `(${Math.round(snapshot.html.length / 1024)} KB): ${snapshot.reason ?? ''}`
+  );
+  broadcast('health', { snapshot: id });
+  res.json({ ok: true, id });
+});
+
 // ── Query ─────────────────────────────────────────────────────────────────────
 
-function queryReadings() {
-  // Sensor names in stable first-seen order.
-  const indoorSensors = db.prepare(`
-    SELECT sensor
-    FROM sensor_readings
-    WHERE section = 'TEMPERATURE SENSORS'
-    GROUP BY sensor
-    ORDER BY MIN(timestamp), sensor
-  `).pluck().all();
-
-  // Include 'Weather' at the end if we have any outdoor temp data.
-  const hasOutdoor = db.prepare(`
-    SELECT 1 FROM sensor_readings WHERE section = 'OUTSIDE TEMP.' LIMIT 1
-  `).get();
-  const sensors = hasOutdoor ? [...indoorSensors, 'Weather'] : indoorSensors;
-
-  // All indoor temperature readings in one pass.
-  const dbRows = db.prepare(`
-    SELECT timestamp, sensor, value
-    FROM sensor_readings
-    WHERE section = 'TEMPERATURE SENSORS'
-    ORDER BY timestamp
+/**
+ * Parses a query-string time (ISO 8601 or Unix milliseconds) into UTC ms.
+ * Returns null if absent, NaN if present but unparseable.
+ */
+function parseTimeParam(value) {
+  if (value === undefined || value === '') return null;
+  const ms = /^\d+$/.test(value) ? Number(value) : new Date(value).getTime();
+  return Number.isFinite(ms) ? ms : NaN;
+}
+
+/**
+ * Returns chart data for the window [from, to] (UTC ms; null = unbounded).
+ *
+ * If points is given and the window holds more snapshots than that, the
+ * window is split into `points` equal-width time buckets and each sensor is
+ * averaged per bucket.  Each bucketed row's hvac_action is the state seen most
+ * often in the bucket, and hvac_share gives the fraction of samples in each
+ * state so that runtime totals stay accurate at any resolution.  Buckets an
+ * hour or a day wide or wider are read from the hourly or daily rollups, and
+ * windows reaching back past the retention period are always bucketed, since
+ * their raw readings may have been pruned.
+ *
+ * The response includes the effective window and `resolution` (bucket width
+ * in ms, or null for raw snapshots) so the client can merge finer windows
+ * into a coarse overview.
+ *
+ * If since is given instead, returns only the raw snapshots stored after it,
+ * with the HVAC state carried forward across the boundary.  This is what the
+ * chart's background refresh appends to what it already has.
+ *
+ * gaps lists the stretches in the window with no readings (see gaps.js), so
+ * the chart can break its lines there rather than draw across them.  With
+ * since, that includes the one just before the new rows, if any.
+ *
+ * Annotations are few, so all of them are always returned.  That way a
+ * refresh also catches edits and deletions the client missed.
+ *
+ * Rows carry the thermostat's mode, setpoints and fan state where recorded;
+ * has_thermostat says whether any have ever been, so the chart knows whether
+ * to draw setpoint lines.
+ *
+ * Everything is for one thermostat: device, or if null the one that reported
+ * most recently.  The response names the device used and lists all of them.
+ */
+function queryReadings({ from = null, to = null, points = null, since = null, device = null } = {}) {
+  if (since !== null) {
+    // Timestamps have millisecond precision, so this makes the window
+    // exclusive of since itself.
+    from   = since + 1;
+    to     = null;
+    points = null;
+  }
+
+  const devices = queryDevices();
+  device ??= mostRecentDevice(devices);
+
+  const groups = querySensorGroups(device);
+  const bounds = queryBounds(device);
+
+  const hasThermostat = !!db.prepare(`
+    SELECT 1 FROM thermostat_states WHERE device = ? LIMIT 1
+  `).get(device);
+
+  const annotations = db.prepare(`
+    SELECT id, timestamp, end_timestamp, note, category FROM annotations
+    ORDER BY timestamp, id
   `).all();
 
-  // Outdoor temperature readings, labelled 'Weather' regardless of the
-  // underlying sensor name Nest uses.
-  const outdoorRows = db.prepare(`
-    SELECT timestamp, 'Weather' AS sensor, value
-    FROM sensor_readings
-    WHERE section = 'OUTSIDE TEMP.'
-    ORDER BY timestamp
+  if (!bounds.first) {
+    return {
+      device, devices, groups, has_thermostat: hasThermostat, rows: [], gaps: [], annotations,
+      from: null, to: null, latest: null, resolution: null,
+    };
+  }
+
+  const fromMs = from ?? new Date(bounds.first).getTime();
+  const toMs   = to   ?? new Date(bounds.last).getTime();
+  const window = {
+    device,
+    fromIso: new Date(fromMs).toISOString(),
+    toIso:   new Date(toMs).toISOString(),
+  };
+
+  // The HVAC state in effect when the window opens, so the first rows inherit
+  // it rather than defaulting to 'idle'.
+  const priorAction = queryPriorAction(window);
+
+  // Raw readings before prunedBefore may be gone, so a window reaching back
+  // that far is read from the rollups, hourly at the finest.
+  const prunedBefore = since === null ? queryPrunedBefore() : null;
+  let bucketMs = null;
+  if (prunedBefore && window.fromIso < prunedBefore) {
+    bucketMs = Math.max(points ? Math.ceil((toMs - fromMs) / points) : 0, HOUR_MS);
+  } else if (points && toMs > fromMs) {
+    const snapshotCount = db.prepare(`
+      SELECT COUNT(DISTINCT timestamp)
+      FROM sensor_readings
+      WHERE device = @device AND timestamp BETWEEN @fromIso AND @toIso
+    `).pluck().get(window);
+    if (snapshotCount > points) bucketMs = Math.ceil((toMs - fromMs) / points);
+  }
+
+  const rows = bucketMs
+    ? queryBucketedRows(window, fromMs, bucketMs, rollupResolution(bucketMs))
+    : queryRawRows(window);
+
+  const gaps = queryGaps({ device, fromMs, toMs, thresholdMs: gapThresholdMs() });
+  carryHvacAction(priorAction, gaps)(rows);
+
+  return {
+    device,
+    devices,
+    groups,
+    has_thermostat: hasThermostat,
+    rows,
+    gaps,
+    annotations,
+    from:       window.fromIso,
+    to:         window.toIso,
+    latest:     bounds.last,
+    resolution: bucketMs,
+  };
+}
+
+/**
+ * Every thermostat that has reported, with its display name (null until
+ * named) and the time of its latest HVAC state.
+ */
+function queryDevices() {
+  return db.prepare(`
+    SELECT d.id, d.name, MAX(h.timestamp) AS last_seen
+    FROM devices d
+    LEFT JOIN hvac_states h ON h.device = d.id
+    GROUP BY d.id
+    ORDER BY COALESCE(d.name, d.id)
   `).all();
+}
+
+/** The thermostat that reported most recently, or '' if none has. */
+function mostRecentDevice(devices) {
+  return devices.reduce(
+    (a, b) => ((b.last_seen ?? '') > (a?.last_seen ?? '') ? b : a), null
+  )?.id ?? '';
+}
+
+/**
+ * Timestamps of the device's first and last readings (null if none).  The
+ * hourly rollups outlive pruned raw readings, so where they start earlier
+ * than the raw readings, their first hour counts as the first reading.
+ */
+function queryBounds(device) {
+  const bounds = db.prepare(`
+    SELECT MIN(timestamp) AS first, MAX(timestamp) AS last
+    FROM sensor_readings
+    WHERE device = ?
+  `).get(device);
+  const rolled = db.prepare(`
+    SELECT MIN(bucket) AS first, MAX(bucket) AS last
+    FROM sensor_rollups
+    WHERE device = ? AND resolution = ?
+  `).get(device, HOUR_MS);
+
+  const hourOf = (iso) => new Date(Math.floor(new Date(iso).getTime() / HOUR_MS) * HOUR_MS).toISOString();
+  if (rolled.first && (!bounds.first || rolled.first < hourOf(bounds.first))) bounds.first = rolled.first;
+  bounds.last ??= rolled.last;
+  return bounds;
+}
+
+/** The HVAC state recorded last before the window opens, or 'idle'. */
+function queryPriorAction(window) {
+  return db.prepare(`
+    SELECT action FROM hvac_states
+    WHERE device = @device AND timestamp < @fromIso
+    ORDER BY timestamp DESC
+    LIMIT 1
+  `).pluck().get(window) ?? 'idle';
+}
+
+/**
+ * Returns a function filling in rows without an HVAC state, called on each
+ * batch of rows in order.  A state carries forward until the next one, or
+ * until a gap: nothing is known about the HVAC across an outage, so rows
+ * after one stay null until a state turns up.  gaps is queryGaps()'s list.
+ */
+function carryHvacAction(priorAction, gaps) {
+  let lastKnownAction = priorAction;
+  let next = 0;
+  return (rows) => {
+    for (const row of rows) {
+      while (next < gaps.length && row.timestamp > gaps[next].start) {
+        lastKnownAction = null;
+        next++;
+      }
+      if (row.hvac_action) {
+        lastKnownAction = row.hvac_action;
+      } else {
+        row.hvac_action = lastKnownAction;
+      }
+    }
+  };
+}
+
+/**
+ * Every section the device has ever recorded, with its unit and the sensors
+ * shown, after the rules in sensors.js: [{ name, label, color }] in their
+ * sort order, then in stable first-seen order.  name is the key rows' values
+ * are under.  Computed over the whole history so traces stay aligned no
+ * matter which window is requested.  Every reading is in the hourly rollups,
+ * pruned or not, so those are what is searched.
+ */
+function querySensorGroups(device) {
+  const seen = db.prepare(`
+    SELECT r.section, ${SENSOR_NAME_SQL} AS name, ${SENSOR_LABEL_SQL} AS label, c.color,
+           MAX(r.unit) AS unit
+    FROM sensor_rollups r
+    ${SENSOR_RULES_SQL}
+    WHERE r.device = ? AND r.resolution = ? AND ${SENSOR_SHOWN_SQL}
+    GROUP BY r.section, ${SENSOR_NAME_SQL}
+    ORDER BY c.sort_order IS NULL, c.sort_order, MIN(r.bucket), ${SENSOR_NAME_SQL}
+  `).all(device, HOUR_MS);
+
+  const bySection = new Map();
+  const units     = new Map();
+  for (const { section, name, label, color, unit } of seen) {
+    if (!bySection.has(section)) bySection.set(section, []);
+    bySection.get(section).push({ name, label, color });
+    if (unit) units.set(section, unit);
+  }
+
+  const known = Object.keys(SECTION_UNITS);
+  const rank  = (section) => {
+    const i = known.indexOf(section);
+    return i === -1 ? known.length : i;
+  };
+  // Array.prototype.sort is stable, so unknown sections keep first-seen order.
+  return [...bySection.keys()]
+    .sort((a, b) => rank(a) - rank(b))
+    .map(section => ({
+      section,
+      unit:    units.get(section) ?? SECTION_UNITS[section] ?? null,
+      sensors: bySection.get(section),
+    }));
+}
+
+/**
+ * One snapshot object per stored timestamp in the window, with values
+ * nested by section and then sensor.  Each snapshot embeds its own
+ * hvac_action so there is no separate parallel array that could fall out of
+ * alignment with the timestamp list.  hvac_action is null where no state was
+ * recorded; the caller fills those in.
+ */
+function queryRawRows(window) {
+  const dbRows = db.prepare(`
+    SELECT r.timestamp, r.section, ${SENSOR_NAME_SQL} AS sensor, r.value
+    FROM sensor_readings r
+    ${SENSOR_RULES_SQL}
+    WHERE r.device = @device AND r.timestamp BETWEEN @fromIso AND @toIso AND ${SENSOR_SHOWN_SQL}
+    ORDER BY r.timestamp
+  `).all(window);
 
   // HVAC states keyed by timestamp for O(1) lookup.
   const hvacByTs = new Map(
-    db.prepare('SELECT timestamp, action FROM hvac_states').all()
-      .map(r => [r.timestamp, r.action])
+    db.prepare(`
+      SELECT timestamp, action FROM hvac_states
+      WHERE device = @device AND timestamp BETWEEN @fromIso AND @toIso
+    `).all(window).map(r => [r.timestamp, r.action])
   );
 
-  // Build one snapshot object per timestamp.  Each snapshot embeds its own
-  // hvac_action so there is no separate parallel array that could fall out of
-  // alignment with the timestamp list.
   const snapshotMap = new Map();
-  for (const { timestamp, sensor, value } of [...dbRows, ...outdoorRows]) {
+  for (const { timestamp, section, sensor, value } of dbRows) {
     if (!snapshotMap.has(timestamp)) {
       snapshotMap.set(timestamp, {
         timestamp,
-        sensors:     {},
-        hvac_action: hvacByTs.get(timestamp) ?? 'idle',
+        values:      {},
+        hvac_action: hvacByTs.get(timestamp) ?? null,
       });
     }
-    snapshotMap.get(timestamp).sensors[sensor] = value;
+    const values = snapshotMap.get(timestamp).values;
+    (values[section] ??= {})[sensor] = value;
   }
 
-  // Sort snapshots chronologically, then carry the last known HVAC state
-  // forward into any gap.  Only falls back to 'idle' if no prior state exists
-  // (i.e. the very first reading has no hvac_states entry).
-  const rows = [...snapshotMap.values()]
-    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  const thermostatByTs = new Map(
+    db.prepare(`
+      SELECT timestamp, mode, heat_setpoint, cool_setpoint, fan FROM thermostat_states
+      WHERE device = @device AND timestamp BETWEEN @fromIso AND @toIso
+    `).all(window).map(r => [r.timestamp, toThermostatState(r)])
+  );
+  for (const row of snapshotMap.values()) {
+    row.thermostat = thermostatByTs.get(row.timestamp) ?? null;
+  }
+
+  // Already ordered by timestamp from the query.
+  return [...snapshotMap.values()];
+}
 
-  let lastKnownAction = 'idle';
+/**
+ * One row per non-empty time bucket in the window, timestamped at the start
+ * of the bucket, with per-sensor means (nested like queryRawRows) and an HVAC
+ * summary.
+ *
+ * With rollupMs (HOUR_MS or DAY_MS, no wider than bucketMs) the sensors and
+ * HVAC states are read from that resolution's rollups instead of the raw
+ * tables.  Each rollup counts toward the bucket its start falls in, and HVAC
+ * shares are by time spent rather than by samples.
+ */
+function queryBucketedRows(window, fromMs, bucketMs, rollupMs = null) {
+  const params = { ...window, fromMs, bucketMs };
+  const BUCKET_SQL =
+    `CAST((unixepoch(timestamp, 'subsec') * 1000 - @fromMs) / @bucketMs AS INTEGER)`;
+
+  // bucket → { action: sampleCount or seconds }
+  const hvacCounts = new Map();
+  let dbRows;
+  if (rollupMs) {
+    dbRows = queryRolledUpSensors(params, rollupMs);
+    for (const { bucket, heat, cool, idle } of queryRolledUpHvac(params, rollupMs)) {
+      const counts = Object.fromEntries(
+        Object.entries({ heat, cool, idle }).filter(([, s]) => s > 0)
+      );
+      if (Object.keys(counts).length) hvacCounts.set(bucket, counts);
+    }
+  } else {
+    dbRows = db.prepare(`
+      SELECT ${BUCKET_SQL} AS bucket,
+             r.section,
+             ${SENSOR_NAME_SQL} AS label,
+             ROUND(AVG(r.value), 2) AS value
+      FROM sensor_readings r
+      ${SENSOR_RULES_SQL}
+      WHERE r.device = @device AND r.timestamp BETWEEN @fromIso AND @toIso AND ${SENSOR_SHOWN_SQL}
+      GROUP BY bucket, r.section, label
+      ORDER BY bucket
+    `).all(params);
+
+    const hvacRows = db.prepare(`
+      SELECT ${BUCKET_SQL} AS bucket, action, COUNT(*) AS n
+      FROM hvac_states
+      WHERE device = @device AND timestamp BETWEEN @fromIso AND @toIso
+      GROUP BY bucket, action
+    `).all(params);
+    for (const { bucket, action, n } of hvacRows) {
+      if (!hvacCounts.has(bucket)) hvacCounts.set(bucket, {});
+      hvacCounts.get(bucket)[action] = n;
+    }
+  }
+
+  // Setpoints are step functions, so each bucket takes the last recorded
+  // thermostat state rather than an average.  SQLite fills the bare columns
+  // from the row that supplied MAX(timestamp).
+  const thermostatRows = db.prepare(`
+    SELECT ${BUCKET_SQL} AS bucket, MAX(timestamp),
+           mode, heat_setpoint, cool_setpoint, fan
+    FROM thermostat_states
+    WHERE device = @device AND timestamp BETWEEN @fromIso AND @toIso
+    GROUP BY bucket
+  `).all(params);
+  const thermostatByBucket = new Map(
+    thermostatRows.map(r => [r.bucket, toThermostatState(r)])
+  );
+
+  const bucketMap = new Map();
+  for (const { bucket, section, label, value } of dbRows) {
+    if (!bucketMap.has(bucket)) {
+      const counts = hvacCounts.get(bucket);
+      bucketMap.set(bucket, {
+        timestamp:   new Date(fromMs + bucket * bucketMs).toISOString(),
+        values:      {},
+        hvac_action: counts ? dominantAction(counts) : null,
+        hvac_share:  counts ? toShares(counts) : null,
+        thermostat:  thermostatByBucket.get(bucket) ?? null,
+      });
+    }
+    const values = bucketMap.get(bucket).values;
+    (values[section] ??= {})[label] = value;
+  }
+
+  // Buckets with no recorded HVAC state inherit the previous bucket's state
+  // in full.
+  const rows = [...bucketMap.values()];
+  let lastShare = null;
   for (const row of rows) {
-    if (hvacByTs.has(row.timestamp)) {
-      lastKnownAction = row.hvac_action;
+    if (row.hvac_share) {
+      lastShare = { [row.hvac_action]: 1 };
     } else {
-      row.hvac_action = lastKnownAction;
+      row.hvac_share = lastShare;
     }
   }
+  return rows;
+}
 
-  const annotations = db.prepare(`
-    SELECT timestamp, note FROM annotations ORDER BY timestamp
-  `).all();
+// The query bucket a rollup falls in.  The inner queries select this as
+// bucket, which would otherwise be shadowed by the rollup's own column.
+const ROLLUP_BUCKET_SQL =
+  `MAX(0, CAST((unixepoch(bucket) * 1000 - @fromMs) / @bucketMs AS INTEGER))`;
+
+function rollupParams(params, rollupMs) {
+  const rollupFromMs = Math.floor(new Date(params.fromIso).getTime() / rollupMs) * rollupMs;
+  return { ...params, rollupMs, rollupFromIso: new Date(rollupFromMs).toISOString() };
+}
+
+/**
+ * The rollups overlapping the window at one resolution, as (bucket, section,
+ * label, mean) rows like queryBucketedRows() reads from the raw table.  A
+ * rollup that opens before the window counts toward its first bucket.
+ */
+function queryRolledUpSensors(params, rollupMs) {
+  return db.prepare(`
+    SELECT bucket, section, label, ROUND(SUM(mean * samples) / SUM(samples), 2) AS value
+    FROM (
+      SELECT ${ROLLUP_BUCKET_SQL} AS bucket, r.section, ${SENSOR_NAME_SQL} AS label, r.mean, r.samples
+      FROM sensor_rollups r
+      ${SENSOR_RULES_SQL}
+      WHERE r.device = @device AND r.resolution = @rollupMs
+        AND r.bucket BETWEEN @rollupFromIso AND @toIso AND ${SENSOR_SHOWN_SQL}
+    )
+    GROUP BY bucket, section, label
+    ORDER BY bucket
+  `).all(rollupParams(params, rollupMs));
+}
+
+/** Seconds heating, cooling and idle per bucket, from the rollups. */
+function queryRolledUpHvac(params, rollupMs) {
+  return db.prepare(`
+    SELECT bucket, SUM(heat_s) AS heat, SUM(cool_s) AS cool, SUM(idle_s) AS idle
+    FROM (
+      SELECT ${ROLLUP_BUCKET_SQL} AS bucket, heat_s, cool_s, idle_s
+      FROM hvac_rollups
+      WHERE device = @device AND resolution = @rollupMs
+        AND bucket BETWEEN @rollupFromIso AND @toIso
+    )
+    GROUP BY bucket
+  `).all(rollupParams(params, rollupMs));
+}
+
+/**
+ * The coarsest rollup resolution no wider than bucketMs, or null if buckets
+ * that narrow must come from raw readings.
+ */
+function rollupResolution(bucketMs) {
+  if (bucketMs >= DAY_MS)  return DAY_MS;
+  if (bucketMs >= HOUR_MS) return HOUR_MS;
+  return null;
+}
+
+/** Shapes a thermostat_states row for the API, with fan as a boolean. */
+function toThermostatState({ mode, heat_setpoint, cool_setpoint, fan }) {
+  return { mode, heat_setpoint, cool_setpoint, fan: fan === null ? null : !!fan };
+}
 
-  return { sensors, rows, annotations };
+function dominantAction(counts) {
+  return Object.entries(counts).reduce((a, b) => (b[1] > a[1] ? b : a))[0];
+}
+
+function toShares(counts) {
+  const total = Object.values(counts).reduce((a, b) => a + b, 0);
+  return Object.fromEntries(
+    Object.entries(counts).map(([action, n]) => [action, n / total])
+  );
+}
+
+// ── Annotations ───────────────────────────────────────────────────────────────
+
+/**
+ * Validates an annotation as posted by the chart:
+ *   { timestamp, end_timestamp?, note, category? }
+ * end_timestamp makes it a range.  Timestamps are normalized to ISO 8601 UTC
+ * and blank optional fields to null.
+ *
+ * Returns the annotation fields, or an error message string.
+ */
+function parseAnnotation(body) {
+  const { timestamp, end_timestamp = null, note, category = null } = body ?? {};
+
+  if (!timestamp || typeof note !== 'string' || !note.trim()) {
+    return 'timestamp and note are required.';
+  }
+  if (category !== null && typeof category !== 'string') {
+    return 'category must be a string.';
+  }
+
+  const startMs = parseTimeParam(String(timestamp));
+  const endMs   = end_timestamp === null ? null : parseTimeParam(String(end_timestamp));
+  if (Number.isNaN(startMs) || Number.isNaN(endMs)) {
+    return 'timestamp and end_timestamp must be ISO 8601 timestamps or Unix ms.';
+  }
+  if (endMs !== null && endMs <= startMs) {
+    return 'end_timestamp must be after timestamp.';
+  }
+
+  return {
+    timestamp:     new Date(startMs).toISOString(),
+    end_timestamp: endMs === null ? null : new Date(endMs).toISOString(),
+    note:          note.trim(),
+    category:      category?.trim() || null,
+  };
 }
 
 const insertAnnotation = db.prepare(`
-  INSERT OR REPLACE INTO annotations (timestamp, note) VALUES (?, ?)
+  INSERT INTO annotations (timestamp, end_timestamp, note, category)
+  VALUES (@timestamp, @end_timestamp, @note, @category)
+`);
+
+const updateAnnotation = db.prepare(`
+  UPDATE annotations
+  SET timestamp = @timestamp, end_timestamp = @end_timestamp,
+      note = @note, category = @category
+  WHERE id = @id
+`);
+
+const deleteAnnotation = db.prepare(`DELETE FROM annotations WHERE id = ?`);
+
+/** A row id from a route's :id, or null if it isn't a positive integer. */
+function parseIdParam(value) {
+  const id = /^\d+$/.test(value) ? Number(value) : NaN;
+  return Number.isSafeInteger(id) && id > 0 ? id : null;
+}
+
+// Each change is announced as an 'annotation' event carrying the whole row,
+// or 'annotation-delete' carrying just its id.
+app.post('/api/annotations', writeAccess, (req, res) => {
+  const annotation = parseAnnotation(req.body);
+  if (typeof annotation === 'string') {
+    return res.status(400).json({ error: annotation });
+  }
+  const id = Number(insertAnnotation.run(annotation).lastInsertRowid);
+  console.log(`[POST /api/annotations] #${id} ${annotation.timestamp} — "${annotation.note}"`);
+  broadcast('annotation', { id, ...annotation });
+  res.json({ ok: true, annotation: { id, ...annotation } });
+});
+
+app.put('/api/annotations/:id', writeAccess, (req, res) => {
+  const id = parseIdParam(req.params.id);
+  if (id === null) {
+    return res.status(400).json({ error: 'id must be a positive integer.' });
+  }
+  const annotation = parseAnnotation(req.body);
+  if (typeof annotation === 'string') {
+    return res.status(400).json({ error: annotation });
+  }
+  if (!updateAnnotation.run({ id, ...annotation }).changes) {
+    return res.status(404).json({ error: 'No such annotation.' });
+  }
+  console.log(`[PUT /api/annotations] #${id} ${annotation.timestamp} — "${annotation.note}"`);
+  broadcast('annotation', { id, ...annotation });
+  res.json({ ok: true, annotation: { id, ...annotation } });
+});
+
+app.delete('/api/annotations/:id', writeAccess, (req, res) => {
+  const id = parseIdParam(req.params.id);
+  if (id === null) {
+    return res.status(400).json({ error: 'id must be a positive integer.' });
+  }
+  if (!deleteAnnotation.run(id).changes) {
+    return res.status(404).json({ error: 'No such annotation.' });
+  }
+  console.log(`[DELETE /api/annotations] #${id}`);
+  broadcast('annotation-delete', { id });
+  res.json({ ok: true });
+});
+
+// ── Saved views ───────────────────────────────────────────────────────────────
+
+// Longer names and states are refused; a hash this long is nothing the
+// chart made.
+const MAX_VIEW_NAME_LENGTH  = 100;
+const MAX_VIEW_STATE_LENGTH = 4000;
+
+/**
+ * Validates a view as posted by the chart:
+ *   { name, state }
+ * state is the chart's URL hash without the '#'; the server doesn't look
+ * inside it.  Returns the view fields, or an error message string.
+ */
+function parseView(body) {
+  const { name, state } = body ?? {};
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'name is required.';
+  }
+  if (name.trim().length > MAX_VIEW_NAME_LENGTH) {
+    return `name must be at most ${MAX_VIEW_NAME_LENGTH} characters.`;
+  }
+  if (typeof state !== 'string' || state.length > MAX_VIEW_STATE_LENGTH) {
+    return `state must be a string of at most ${MAX_VIEW_STATE_LENGTH} characters.`;
+  }
+  return { name: name.trim(), state: state.replace(/^#/, '') };
+}
+
+const upsertView = db.prepare(`
+  INSERT INTO views (name, state, updated_at) VALUES (@name, @state, @updated_at)
+  ON CONFLICT (name) DO UPDATE SET state = excluded.state, updated_at = excluded.updated_at
+  RETURNING id, name, state, updated_at
 `);
 
-app.post('/api/annotations', (req, res) => {
-  const { timestamp, note } = req.body;
-  if (!timestamp || !note?.trim()) {
-    return res.status(400).json({ error: 'timestamp and note are required.' });
+const deleteView = db.prepare(`DELETE FROM views WHERE id = ?`);
+
+app.get('/api/views', readAccess, (req, res) => {
+  res.json({ views: db.prepare(`SELECT id, name, state, updated_at FROM views ORDER BY name`).all() });
+});
+
+// Saving under an existing name replaces that view.  Each change is
+// announced as a 'view' event carrying the whole row, or 'view-delete'
+// carrying just its id.
+app.post('/api/views', writeAccess, (req, res) => {
+  const view = parseView(req.body);
+  if (typeof view === 'string') {
+    return res.status(400).json({ error: view });
   }
-  insertAnnotation.run(timestamp, note.trim());
-  console.log(`[POST /api/annotations] ${timestamp} — "${note.trim()}"`);
+  const row = upsertView.get({ ...view, updated_at: new Date().toISOString() });
+  console.log(`[POST /api/views] #${row.id} "${row.name}" — ${row.state}`);
+  broadcast('view', row);
+  res.json({ ok: true, view: row });
+});
+
+app.delete('/api/views/:id', writeAccess, (req, res) => {
+  const id = parseIdParam(req.params.id);
+  if (id === null) {
+    return res.status(400).json({ error: 'id must be a positive integer.' });
+  }
+  if (!deleteView.run(id).changes) {
+    return res.status(404).json({ error: 'No such view.' });
+  }
+  console.log(`[DELETE /api/views] #${id}`);
+  broadcast('view-delete', { id });
   res.json({ ok: true });
 });
 
+// ── Export ────────────────────────────────────────────────────────────────────
+//
+// Readings for a window as wide CSV (one row per snapshot, one column per
+// sensor) or long-format JSON / NDJSON (one record per sensor value).  The
+// window is read and sent a page at a time, waiting for the client to keep
+// up, so large exports neither buffer in memory nor hold the database.
+
+const EXPORT_CONTENT_TYPES = {
+  csv:    'text/csv; charset=utf-8',
+  json:   'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+};
+
+// Raw snapshots are read a day at a time, resampled rows in pages of at
+// least this many intervals (and at least a day).
+const EXPORT_PAGE_MS      = 24 * 60 * 60 * 1000;
+const EXPORT_PAGE_BUCKETS = 500;
+
+const DURATION_UNITS_MS = { ms: 1, s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 };
+
+/**
+ * Parses a query-string duration: Unix ms, or a count with a unit such as
+ * "15m" or "1h".  Returns null if absent, NaN if present but not positive.
+ */
+function parseDurationParam(value) {
+  if (value === undefined || value === '') return null;
+  const match = /^(\d+)(ms|s|m|h|d)?$/.exec(value);
+  const ms    = match ? Number(match[1]) * DURATION_UNITS_MS[match[2] ?? 'ms'] : NaN;
+  return ms > 0 ? ms : NaN;
+}
+
+/**
+ * Yields the window's rows a page at a time, raw or averaged per fixed
+ * interval (buckets aligned to multiples of intervalMs since the epoch).
+ * Each page is queried only when asked for.  HVAC state is carried forward
+ * across pages as queryReadings() does within one.
+ *
+ * Whole hours and days are read from the rollups, which line up exactly.
+ * Anything finer falls back to hourly rows for the part of the window whose
+ * raw readings may have been pruned.
+ */
+function* exportPages({ device, fromMs, toMs, intervalMs }) {
+  if (!(fromMs <= toMs)) return;  // Empty, or no readings at all (±Infinity).
+  const iso = ms => new Date(ms).toISOString();
+
+  const rollupMs = !intervalMs ? null
+    : intervalMs % DAY_MS  === 0 ? DAY_MS
+    : intervalMs % HOUR_MS === 0 ? HOUR_MS
+    : null;
+  const prunedBefore = queryPrunedBefore();
+  const prunedMs     = prunedBefore ? new Date(prunedBefore).getTime() : -Infinity;
+  if (!rollupMs && fromMs < prunedMs) {
+    yield* exportPages({ device, fromMs, toMs: Math.min(toMs, prunedMs - 1), intervalMs: HOUR_MS });
+    fromMs = prunedMs;
+  }
+
+  const carry = carryHvacAction(
+    queryPriorAction({ device, fromIso: iso(fromMs) }),
+    queryGaps({ device, fromMs, toMs, thresholdMs: gapThresholdMs() }),
+  );
+  const originMs = intervalMs ? Math.floor(fromMs / intervalMs) * intervalMs : fromMs;
+  const pageMs   = intervalMs
+    ? intervalMs * Math.max(EXPORT_PAGE_BUCKETS, Math.ceil(EXPORT_PAGE_MS / intervalMs))
+    : EXPORT_PAGE_MS;
+
+  for (let pageStart = originMs; pageStart <= toMs; pageStart += pageMs) {
+    // Timestamps have millisecond precision, so ending each page 1 ms short
+    // keeps the inclusive windows from overlapping.
+    const window = {
+      device,
+      fromIso: iso(Math.max(pageStart, fromMs)),
+      toIso:   iso(Math.min(pageStart + pageMs - 1, toMs)),
+    };
+    const rows = intervalMs
+      ? queryBucketedRows(window, pageStart, intervalMs, rollupMs)
+      : queryRawRows(window);
+    carry(rows);
+    if (rows.length) yield rows;
+  }
+}
+
+/** Quotes a CSV field if it needs it.  null and undefined become empty. */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Returns a function that formats one page of rows for the given format.
+ * columns are the device's sensors; annotations, if any, are attached to
+ * the rows they fall on (CSV) or emitted as records first (JSON / NDJSON).
+ * The returned object also has head and tail strings for the response.
+ */
+function exportFormatter(format, columns, annotations) {
+  if (format === 'csv') {
+    // A point annotation goes on the first row at or after it; a range on
+    // every row inside it.
+    const points = annotations.filter(a => !a.end_timestamp);
+    const ranges = annotations.filter(a => a.end_timestamp);
+    let nextPoint = 0;
+    const notesAt = (timestamp) => {
+      const notes = [];
+      while (nextPoint < points.length && points[nextPoint].timestamp <= timestamp) {
+        notes.push(points[nextPoint++].note);
+      }
+      for (const a of ranges) {
+        if (a.timestamp <= timestamp && timestamp <= a.end_timestamp) notes.push(a.note);
+      }
+      return notes.join('; ');
+    };
+
+    const header = [
+      'timestamp',
+      ...columns.map(({ section, label }) => `${section}/${label}`),
+      'hvac_action',
+      ...(annotations.length ? ['annotations'] : []),
+    ];
+    return {
+      head: header.map(csvField).join(',') + '\n',
+      page: rows => rows.map(row => [
+        row.timestamp,
+        ...columns.map(({ section, sensor }) => row.values[section]?.[sensor]),
+        row.hvac_action,
+        ...(annotations.length ? [notesAt(row.timestamp)] : []),
+      ].map(csvField).join(',') + '\n').join(''),
+      tail: '',
+    };
+  }
+
+  const records = rows => rows.flatMap(row => columns
+    .filter(({ section, sensor }) => row.values[section]?.[sensor] !== undefined)
+    .map(({ section, sensor, label, unit }) => ({
+      type:        'reading',
+      timestamp:   row.timestamp,
+      section,
+      sensor:      label,
+      unit,
+      value:       row.values[section][sensor],
+      hvac_action: row.hvac_action,
+    })));
+  const annotationRecords = annotations.map(a => ({ type: 'annotation', ...a }));
+
+  if (format === 'ndjson') {
+    const lines = list => list.map(r => JSON.stringify(r) + '\n').join('');
+    return { head: lines(annotationRecords), page: rows => lines(records(rows)), tail: '' };
+  }
+
+  // One JSON array, written incrementally; each element after the first is
+  // preceded by its comma.
+  let first = true;
+  const elements = list => list.map((r) => {
+    const text = (first ? '\n' : ',\n') + JSON.stringify(r);
+    first = false;
+    return text;
+  }).join('');
+  return {
+    head: '[' + elements(annotationRecords),
+    page: rows => elements(records(rows)),
+    tail: '\n]\n',
+  };
+}
+
+/** Resolves once res can take more data, or has closed. */
+function drained(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Query parameters:
+//   format       csv (default), json or ndjson
+//   from, to     window bounds (ISO 8601 or Unix ms); default to the full history
+//   interval     resample to this fixed interval (Unix ms, or e.g. 15m, 1h, 1d);
+//                default is every raw snapshot
+//   annotations  1 to include annotations overlapping the window
+//   device       thermostat to export; defaults to the most recently reporting
+app.get('/api/export', readAccess, async (req, res) => {
+  const format     = req.query.format ?? 'csv';
+  const from       = parseTimeParam(req.query.from);
+  const to         = parseTimeParam(req.query.to);
+  const intervalMs = parseDurationParam(req.query.interval);
+  const withNotes  = req.query.annotations === '1' || req.query.annotations === 'true';
+
+  if (!(format in EXPORT_CONTENT_TYPES)) {
+    return res.status(400).json({ error: 'format must be csv, json or ndjson.' });
+  }
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ error: 'from and to must be ISO 8601 timestamps or Unix ms.' });
+  }
+  if (Number.isNaN(intervalMs)) {
+    return res.status(400).json({ error: 'interval must be a positive duration, e.g. 300000, 5m or 1h.' });
+  }
+
+  // Express 4 does not catch rejections from async handlers, so every
+  // error is answered here rather than left to take the process down.
+  try {
+    const device = req.query.device ?? mostRecentDevice(queryDevices());
+    const bounds  = queryBounds(device);
+    const firstMs = bounds.first ? new Date(bounds.first).getTime() : null;
+    const lastMs  = bounds.last  ? new Date(bounds.last).getTime()  : null;
+    const fromMs  = from ?? firstMs ?? 0;
+    const toMs    = to   ?? lastMs  ?? -1;
+
+    const columns = querySensorGroups(device).flatMap(({ section, unit, sensors }) =>
+      sensors.map(({ name, label }) => ({ section, sensor: name, label, unit }))
+    );
+    const annotations = withNotes && toMs >= fromMs
+      ? db.prepare(`
+          SELECT id, timestamp, end_timestamp, note, category FROM annotations
+          WHERE timestamp <= @toIso AND COALESCE(end_timestamp, timestamp) >= @fromIso
+          ORDER BY timestamp, id
+        `).all({ fromIso: new Date(fromMs).toISOString(), toIso: new Date(toMs).toISOString() })
+      : [];
+    const formatter = exportFormatter(format, columns, annotations);
+
+    const stamp    = (ms) => new Date(ms).toISOString().slice(0, 10);
+    const filename = toMs >= fromMs
+      ? `nest-${device || 'readings'}-${stamp(fromMs)}-to-${stamp(toMs)}.${format}`
+      : `nest-${device || 'readings'}.${format}`;
+    res.set({
+      'Content-Type':        EXPORT_CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${filename}"`,
+    });
+
+    let rowCount = 0;
+    if (!res.write(formatter.head)) await drained(res);
+    // Only the part of the window that holds readings needs paging through.
+    const pages = exportPages({
+      device,
+      fromMs: Math.max(fromMs, firstMs ?? Infinity),
+      toMs:   Math.min(toMs, lastMs ?? -Infinity),
+      intervalMs,
+    });
+    for (const rows of pages) {
+      if (res.destroyed) break;
+      rowCount += rows.length;
+      if (!res.write(formatter.page(rows))) await drained(res);
+    }
+    if (res.destroyed) {
+      console.log(`[/api/export] ${device || '(no device)'}: client went away after ${rowCount} row(s).`);
+      return;
+    }
+    res.end(formatter.tail);
+    console.log(
+      `[/api/export] ${device || '(no device)'}: ${rowCount} ` +
+      `${intervalMs ? `${intervalMs} ms buckets` : 'snapshots'} as ${format}` +
+      (withNotes ? `, ${annotations.length} annotation(s)` : '')
+    );
+  } catch (err) {
+    console.error(`[/api/export] Failed: ${err.message}`);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Export failed.' });
+    } else {
+      res.end();
+    }
+  }
+});
+
 // ── Routes ────────────────────────────────────────────────────────────────────
 
-app.get('/api/readings', (req, res) => {
-  const data = queryReadings();
+// Optional query parameters:
+//   from, to  window bounds (ISO 8601 or Unix ms); default to the full history
+//   points    target number of rows; larger windows are downsampled
+//   since     return only what was stored after this time (ISO 8601 or Unix
+//             ms), for incremental refresh; excludes the options above
+//   device    thermostat to return; defaults to the most recently reporting
+app.get('/api/readings', readAccess, (req, res) => {
+  const device = req.query.device ?? null;
+  const from   = parseTimeParam(req.query.from);
+  const to     = parseTimeParam(req.query.to);
+  const since  = parseTimeParam(req.query.since);
+  const points = req.query.points === undefined ? null : Number(req.query.points);
+
+  if (Number.isNaN(from) || Number.isNaN(to) || Number.isNaN(since)) {
+    return res.status(400).json({ error: 'from, to and since must be ISO 8601 timestamps or Unix ms.' });
+  }
+  if (since !== null && (from !== null || to !== null || points !== null)) {
+    return res.status(400).json({ error: 'since cannot be combined with from, to or points.' });
+  }
+  if (points !== null && !(Number.isInteger(points) && points > 0)) {
+    return res.status(400).json({ error: 'points must be a positive integer.' });
+  }
+
+  const data = queryReadings({ from, to, points, since, device });
   console.log(
-    `[/api/readings] ${data.rows.length} snapshots, ` +
-    `${data.sensors.length} sensors: [${data.sensors.join(', ')}], ` +
-    `${data.annotations.length} annotation(s)`
+    `[/api/readings] ${data.device || '(no device)'}: ` +
+    `${data.rows.length} ${data.resolution ? 'buckets' : 'snapshots'}, ` +
+    data.groups.map(g => `${g.section}: [${g.sensors.map(s => s.label).join(', ')}], `).join('') +
+    `${data.gaps.length} gap(s), ${data.annotations.length} annotation(s)`
   );
   res.json(data);
 });
 
+// Runtime, cycles and degree-days per day and week; see queryAnalytics().
+// Optional query parameters:
+//   device    thermostat to sum up; defaults to the most recently reporting
+//   from, to  window bounds (ISO 8601 or Unix ms); default to the full history
+//   tz        IANA time zone days are counted in; defaults to UTC
+//   base      degree-day base temperature in °F; defaults to 65
+app.get('/api/analytics', readAccess, (req, res) => {
+  const device = req.query.device ?? mostRecentDevice(queryDevices());
+  const fromMs = parseTimeParam(req.query.from);
+  const toMs   = parseTimeParam(req.query.to);
+  const baseF  = req.query.base === undefined ? DEFAULT_BASE_F : Number(req.query.base);
+  const tz     = req.query.tz || 'UTC';
+
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+    return res.status(400).json({ error: 'from and to must be ISO 8601 timestamps or Unix ms.' });
+  }
+  if (!Number.isFinite(baseF)) {
+    return res.status(400).json({ error: 'base must be a number.' });
+  }
+  if (!isTimeZone(tz)) {
+    return res.status(400).json({ error: `Unknown time zone "${tz}".` });
+  }
+
+  const analytics = queryAnalytics({ device, fromMs, toMs, tz, baseF });
+  console.log(`[/api/analytics] ${device || '(no device)'}: ${analytics.days.length} day(s) in ${tz}.`);
+  res.json(analytics);
+});
+
+// Short cycling, stalled runs and cooling runs the temperature rose during;
+// see queryFaults().  Optional query parameters:
+//   device    thermostat to check; defaults to the most recently reporting
+//   from, to  window bounds (ISO 8601 or Unix ms); default to the full history
+app.get('/api/faults', readAccess, (req, res) => {
+  const device = req.query.device ?? mostRecentDevice(queryDevices());
+  const fromMs = parseTimeParam(req.query.from);
+  const toMs   = parseTimeParam(req.query.to);
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+    return res.status(400).json({ error: 'from and to must be ISO 8601 timestamps or Unix ms.' });
+  }
+
+  const faults = queryFaults({ device, fromMs, toMs });
+  console.log(`[/api/faults] ${device || '(no device)'}: ${faults.findings.length} finding(s).`);
+  res.json(faults);
+});
+
+// Per-room heat loss and warm-up rates by month; see queryThermal().
+// Optional query parameters:
+//   device    thermostat to fit; defaults to the most recently reporting
+//   from, to  window bounds (ISO 8601 or Unix ms); default to the full history
+app.get('/api/thermal', readAccess, (req, res) => {
+  const device = req.query.device ?? mostRecentDevice(queryDevices());
+  const fromMs = parseTimeParam(req.query.from);
+  const toMs   = parseTimeParam(req.query.to);
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+    return res.status(400).json({ error: 'from and to must be ISO 8601 timestamps or Unix ms.' });
+  }
+
+  const thermal = queryThermal({ device, fromMs, toMs });
+  console.log(`[/api/thermal] ${device || '(no device)'}: ${thermal.rooms.length} room(s) over ${thermal.months.length} month(s).`);
+  res.json(thermal);
+});
+
+// Whether readings are arriving and what the extension has reported; see
+// queryHealth().  Answers 503 if anything looks wrong, for uptime monitors.
+app.get('/api/health', readAccess, (req, res) => {
+  const health = queryHealth();
+  res.status(health.ok ? 200 : 503).json(health);
+});
+
+const renameDevice = db.prepare(`
+  UPDATE devices SET name = ? WHERE id = ?
+`);
+
+// Body: { name } — a display name for the chart's device selector; an empty
+// name clears it.
+app.put('/api/devices/:id', writeAccess, (req, res) => {
+  const { name } = req.body;
+  if (typeof name !== 'string') {
+    return res.status(400).json({ error: 'name is required.' });
+  }
+  const { changes } = renameDevice.run(name.trim() || null, req.params.id);
+  if (!changes) {
+    return res.status(404).json({ error: 'No such device.' });
+  }
+  console.log(`[PUT /api/devices] ${req.params.id} — "${name.trim()}"`);
+  broadcast('device', { id: req.params.id, name: name.trim() || null });
+  res.json({ ok: true });
+});
+
+// Every sensor a thermostat has reported, with its display rules; see
+// querySensors().  Optional query parameter:
+//   device  thermostat to list; defaults to the most recently reporting
+app.get('/api/sensors', readAccess, (req, res) => {
+  const device = req.query.device ?? mostRecentDevice(queryDevices());
+  res.json({ device, sensors: querySensors(device) });
+});
+
+// Body: a sensor's display rules; see parseSensorUpdate().
+app.put('/api/sensors/:id', writeAccess, (req, res) => {
+  const id = parseIdParam(req.params.id);
+  if (id === null) {
+    return res.status(400).json({ error: 'id must be a positive integer.' });
+  }
+  const update = parseSensorUpdate(req.body);
+  if (typeof update === 'string') {
+    return res.status(400).json({ error: update });
+  }
+  const sensor = updateSensor(id, update);
+  if (sensor === null) {
+    return res.status(404).json({ error: 'No such sensor.' });
+  }
+  if (typeof sensor === 'string') {
+    return res.status(400).json({ error: sensor });
+  }
+  console.log(
+    `[PUT /api/sensors] ${sensor.device || '(no device)'} ${sensor.section}/${sensor.name}` +
+    (sensor.alias_of ? ` → ${sensor.alias_of}` : '') + (sensor.hidden ? ' (hidden)' : '')
+  );
+  broadcast('sensors', { device: sensor.device });
+  res.json({ ok: true });
+});
+
+// ── Alerts ────────────────────────────────────────────────────────────────────
+
+// Rules are checked after every reading, and on this interval for the ones
+// (long HVAC runs, missing readings) that can come true with no new reading.
+const ALERT_CHECK_INTERVAL_MS = 60_000;
+
+function checkAlerts() {
+  try {
+    for (const { state, event, annotation } of evaluateAlerts()) {
+      console.log(`[alerts] ${state === 'firing' ? 'Firing' : 'Cleared'}: ${event.message}`);
+      if (annotation) broadcast('annotation', annotation);
+    }
+  } catch (err) {
+    // A broken rule shouldn't take ingest down with it.
+    console.error(`[alerts] Check failed: ${err.message}`);
+  }
+}
+
+// ── Retention ─────────────────────────────────────────────────────────────────
+
+// Set NEST_LOGGER_RETENTION_MONTHS to delete raw readings older than that
+// many months once they are rolled up.  By default everything is kept.
+const RETENTION_MONTHS  = Math.max(0, Math.floor(Number(process.env.NEST_LOGGER_RETENTION_MONTHS))) || null;
+const PRUNE_INTERVAL_MS = DAY_MS;
+
+function pruneOldReadings() {
+  const { cutoff, readings, hvac, thermostat } = pruneRaw(RETENTION_MONTHS);
+  console.log(
+    `[retention] Pruned before ${cutoff}: ${readings} reading value(s), ` +
+    `${hvac} HVAC and ${thermostat} thermostat state(s) unchanged from the one before.`
+  );
+}
+
 // ── Start ─────────────────────────────────────────────────────────────────────
 
-app.listen(PORT, () => {
-  console.log(`Nest Logger server running at http://localhost:${PORT}`);
+// Catches up after a migration or an import run while the server was down.
+rollUp();
+if (RETENTION_MONTHS) {
+  pruneOldReadings();
+  setInterval(pruneOldReadings, PRUNE_INTERVAL_MS);
+}
+checkAlerts();
+setInterval(checkAlerts, ALERT_CHECK_INTERVAL_MS);
+
+// Without tokens, anything that can reach the server can use it: fine on
+// localhost, worth a warning anywhere else.
+if (!['127.0.0.1', '::1', 'localhost'].includes(HOST)) {
+  for (const [kind, what] of [['ingest', 'Ingest'], ['read', 'The chart']]) {
+    if (!isRequired(kind)) {
+      console.warn(`[auth] ${what} is open to anyone on the network; see tokens.js.`);
+    }
+  }
+}
+
+app.listen(PORT, HOST, () => {
+  console.log(`Nest Logger server running at http://${HOST}:${PORT}`);
 });
@@ -0,0 +1,150 @@
+/**
+ * nest-logger — test/alerts.test.js — alert rules firing and clearing.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const assert = require('node:assert/strict');
+const test   = require('node:test');
+const { useScratchDb } = require('./helpers');
+
+useScratchDb();
+const db = require('../db');
+const { ALERT_CATEGORY, evaluateAlerts } = require('../alerts');
+const { registerSensor } = require('../sensors');
+
+const SECTION = 'INSIDE TEMP.';
+
+const at = (hhmm) => `2026-01-01T${hhmm}:00.000Z`;
+const ms = (hhmm) => Date.parse(at(hhmm));
+
+/** Stores a reading of { sensor: value } and an HVAC state. */
+function addReading(device, timestamp, values, action = 'idle') {
+  db.prepare(`INSERT OR IGNORE INTO devices (id) VALUES (?)`).run(device);
+  for (const [sensor, value] of Object.entries(values)) {
+    registerSensor(device, SECTION, sensor);
+    db.prepare(`
+      INSERT INTO sensor_readings (device, timestamp, section, sensor, value) VALUES (?, ?, ?, ?, ?)
+    `).run(device, timestamp, SECTION, sensor, value);
+  }
+  db.prepare(`INSERT INTO hvac_states (device, timestamp, action) VALUES (?, ?, ?)`).run(device, timestamp, action);
+}
+
+/** Adds an enabled rule without a webhook or command, returning its id. */
+function addRule(rule) {
+  return Number(db.prepare(`
+    INSERT INTO alert_rules (name, kind, device, section, sensor, comparison, threshold, hysteresis, action, duration_s)
+    VALUES (@name, @kind, @device, @section, @sensor, @comparison, @threshold, @hysteresis, @action, @duration_s)
+  `).run({
+    section: null, sensor: null, comparison: null, threshold: null, hysteresis: 0, action: null, duration_s: 0,
+    ...rule,
+  }).lastInsertRowid);
+}
+
+/** Evaluates the rules at hhmm, returning [state, subject, at] per transition. */
+function evaluate(hhmm) {
+  return evaluateAlerts(ms(hhmm)).map(({ state, event }) =>
+    [state, event.subject, state === 'firing' ? event.fired_at : event.cleared_at]);
+}
+
+/** Turns rule id off, so later tests don't see it. */
+function disable(id) {
+  db.prepare(`UPDATE alert_rules SET enabled = 0 WHERE id = ?`).run(id);
+}
+
+test('a threshold fires once held for its duration, and clears past its hysteresis', () => {
+  const device = 'DEVICE_THRESHOLD';
+  const rule = addRule({
+    name: 'Hot', kind: 'threshold', device, section: SECTION, sensor: 'Hall',
+    comparison: '>', threshold: 75, hysteresis: 2, duration_s: 600,
+  });
+
+  addReading(device, at('00:00'), { Hall: 76 });
+  assert.deepEqual(evaluate('00:05'), []);
+  addReading(device, at('00:10'), { Hall: 77 });
+  assert.deepEqual(evaluate('00:10'), [['firing', `${SECTION}/Hall`, at('00:10')]]);
+
+  // Back under the threshold, but not by the hysteresis.
+  addReading(device, at('00:20'), { Hall: 74 });
+  assert.deepEqual(evaluate('00:20'), []);
+  addReading(device, at('00:30'), { Hall: 72 });
+  assert.deepEqual(evaluate('00:30'), [['cleared', `${SECTION}/Hall`, at('00:30')]]);
+
+  const annotation = db.prepare(`SELECT timestamp, end_timestamp, note, category FROM annotations`).get();
+  assert.deepEqual({ ...annotation }, {
+    timestamp:     at('00:10'),
+    end_timestamp: at('00:30'),
+    note:          'Hot: Hall is 77, above 75 (THRESHOLD)',
+    category:      ALERT_CATEGORY,
+  });
+  disable(rule);
+});
+
+test('a threshold rule can name a sensor as the chart shows it', () => {
+  const device = 'DEVICE_NAMED';
+  addReading(device, at('00:00'), { Hall: 80 });
+  db.prepare(`UPDATE sensors SET display_name = 'Hallway' WHERE device = ? AND name = 'Hall'`).run(device);
+  const rule = addRule({
+    name: 'Hot', kind: 'threshold', device, section: SECTION, sensor: 'Hallway', comparison: '>', threshold: 75,
+  });
+
+  assert.deepEqual(evaluate('00:00'), [['firing', `${SECTION}/Hall`, at('00:00')]]);
+  disable(rule);
+});
+
+test('an alert for a sensor missing from the latest reading clears', () => {
+  const device = 'DEVICE_MISSING';
+  const rule = addRule({ name: 'Cold', kind: 'threshold', device, section: SECTION, comparison: '<', threshold: 60 });
+
+  addReading(device, at('00:00'), { Attic: 50, Garage: 55 });
+  assert.deepEqual(evaluate('00:00'), [
+    ['firing', `${SECTION}/Attic`, at('00:00')],
+    ['firing', `${SECTION}/Garage`, at('00:00')],
+  ]);
+  addReading(device, at('00:05'), { Garage: 55 });
+  assert.deepEqual(evaluate('00:05'), [['cleared', `${SECTION}/Attic`, at('00:05')]]);
+  assert.deepEqual(db.prepare(`SELECT subject FROM alert_state WHERE rule_id = ?`).pluck().all(rule), [`${SECTION}/Garage`]);
+  disable(rule);
+});
+
+test('an hvac rule fires on a long run and clears when it ends', () => {
+  const device = 'DEVICE_HVAC';
+  const rule = addRule({ name: 'Long heat', kind: 'hvac', device, action: 'heat', duration_s: 3600 });
+
+  addReading(device, at('00:00'), { Hall: 65 }, 'idle');
+  addReading(device, at('00:10'), { Hall: 65 }, 'heat');
+  addReading(device, at('00:40'), { Hall: 66 }, 'heat');
+  assert.deepEqual(evaluate('01:05'), []);
+  // The run is timed from its first state, not from when it was noticed.
+  assert.deepEqual(evaluate('01:10'), [['firing', 'heat', at('01:10')]]);
+
+  addReading(device, at('01:20'), { Hall: 68 }, 'idle');
+  assert.deepEqual(evaluate('01:20'), [['cleared', 'heat', at('01:20')]]);
+  disable(rule);
+});
+
+test('a stale rule fires when readings stop, and clears with the next one', () => {
+  const device = 'DEVICE_STALE';
+  const rule = addRule({ name: 'Quiet', kind: 'stale', device, duration_s: 1800 });
+
+  addReading(device, at('00:00'), { Hall: 68 });
+  assert.deepEqual(evaluate('00:29'), []);
+  assert.deepEqual(evaluate('00:30'), [['firing', '', at('00:30')]]);
+  assert.deepEqual(evaluate('00:45'), []);
+
+  addReading(device, at('01:00'), { Hall: 68 });
+  assert.deepEqual(evaluate('01:00'), [['cleared', '', at('01:00')]]);
+  disable(rule);
+});
@@ -0,0 +1,61 @@
+/**
+ * nest-logger — test/annotations.test.js — the annotation routes.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const assert = require('node:assert/strict');
+const test   = require('node:test');
+const { scratchDbPath, startServer } = require('./helpers');
+
+let server;
+
+test.before(async () => {
+  server = await startServer(scratchDbPath());
+});
+
+test.after(() => server.stop());
+
+function send(method, path, body) {
+  return fetch(`${server.url}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body:    body === undefined ? undefined : JSON.stringify(body),
+  });
+}
+
+test('an annotation can be added, edited and deleted', async () => {
+  const added = await (await send('POST', '/api/annotations', {
+    timestamp: '2026-01-01T00:00:00Z', note: 'Windows open',
+  })).json();
+  const { id } = added.annotation;
+
+  const edited = await send('PUT', `/api/annotations/${id}`, {
+    timestamp: '2026-01-01T00:00:00Z', end_timestamp: '2026-01-01T02:00:00Z', note: 'Windows open',
+  });
+  assert.equal(edited.status, 200);
+  assert.equal((await edited.json()).annotation.end_timestamp, '2026-01-01T02:00:00.000Z');
+
+  assert.equal((await send('DELETE', `/api/annotations/${id}`)).status, 200);
+  assert.equal((await send('DELETE', `/api/annotations/${id}`)).status, 404);
+});
+
+test('an id that isn\'t a positive integer is refused', async () => {
+  const body = { timestamp: '2026-01-01T00:00:00Z', note: 'x' };
+  for (const id of ['abc', '0', '-1', '1.5', '1e2']) {
+    assert.equal((await send('PUT', `/api/annotations/${id}`, body)).status, 400, id);
+    assert.equal((await send('DELETE', `/api/annotations/${id}`)).status, 400, id);
+  }
+});
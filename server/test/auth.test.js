@@ -0,0 +1,108 @@
+/**
+ * nest-logger — test/auth.test.js — access tokens.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const assert           = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const path             = require('path');
+const test             = require('node:test');
+const Database         = require('better-sqlite3');
+const { scratchDbPath, startServer } = require('./helpers');
+
+const dbPath = scratchDbPath();
+
+let server;
+
+/** Makes a token with tokens.js, as a user would, and returns it. */
+function addToken(name, access) {
+  const output = execFileSync(process.execPath, ['tokens.js', '--add', name, '--access', access], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, NEST_LOGGER_DB: dbPath },
+  }).toString();
+  return /^\s+(\S+)$/m.exec(output)[1];
+}
+
+function send(method, route, { token, cookie, body } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (cookie) headers.Cookie = cookie;
+  return fetch(`${server.url}${route}`, {
+    method,
+    headers,
+    body:     body === undefined ? undefined : JSON.stringify(body),
+    redirect: 'manual',
+  });
+}
+
+const READING = {
+  device:      'DEVICE_A',
+  timestamp:   '2026-01-01T00:00:00Z',
+  hvac_action: 'idle',
+  data:        { 'TEMPERATURE SENSORS': { Hall: 68 } },
+};
+const NOTE = { timestamp: '2026-01-01T00:00:00Z', note: 'x' };
+
+test.before(async () => {
+  server = await startServer(dbPath);
+});
+
+test.after(() => server.stop());
+
+test('everything is open until a token is made', async () => {
+  assert.equal((await send('POST', '/api/readings', { body: READING })).status, 200);
+  assert.equal((await send('GET', '/api/views')).status, 200);
+});
+
+test('an ingest token guards ingest, and only ingest', async () => {
+  const token = addToken('extension', 'ingest');
+  assert.equal((await send('POST', '/api/readings', { body: READING })).status, 401);
+  assert.equal((await send('POST', '/api/readings', { body: READING, token: 'wrong' })).status, 401);
+  assert.equal((await send('POST', '/api/readings', { body: READING, token })).status, 200);
+  assert.equal((await send('GET', '/api/views')).status, 200);
+});
+
+test('a read token opens the chart but can\'t change anything', async () => {
+  const read  = addToken('viewer', 'read');
+  const write = addToken('owner', 'write');
+  assert.equal((await send('GET', '/api/views')).status, 401);
+  assert.equal((await send('GET', '/api/views', { token: read })).status, 200);
+  assert.equal((await send('POST', '/api/annotations', { token: read, body: NOTE })).status, 403);
+  assert.equal((await send('POST', '/api/annotations', { token: write, body: NOTE })).status, 200);
+});
+
+test('signing in keeps the token in a cookie', async () => {
+  const token = addToken('browser', 'read');
+  const resp  = await send('GET', `/?token=${token}`);
+  assert.equal(resp.status, 302);
+  const cookie = resp.headers.get('Set-Cookie').split(';')[0];
+  assert.equal((await send('GET', '/api/views', { cookie })).status, 200);
+  assert.equal((await send('GET', '/?token=wrong')).status, 401);
+});
+
+test('a malformed cookie counts as no token', async () => {
+  const resp = await send('GET', '/api/views', { cookie: 'nest_logger_token=%E0%A4%A' });
+  assert.equal(resp.status, 401);
+});
+
+test('only hashes of tokens are stored', () => {
+  const token = addToken('script', 'read');
+  const db    = new Database(dbPath, { readonly: true });
+  const rows  = db.prepare('SELECT hash FROM access_tokens').pluck().all();
+  db.close();
+  assert.ok(rows.length >= 5);
+  assert.ok(!rows.includes(token));
+});
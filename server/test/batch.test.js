@@ -0,0 +1,80 @@
+/**
+ * nest-logger — test/batch.test.js — POST /api/readings/batch.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const assert = require('node:assert/strict');
+const test   = require('node:test');
+const { scratchDbPath, startServer } = require('./helpers');
+
+const DEVICE = 'DEVICE_A';
+
+let server;
+
+test.before(async () => {
+  server = await startServer(scratchDbPath());
+});
+
+test.after(() => server.stop());
+
+function postBatch(body) {
+  return fetch(`${server.url}/api/readings/batch`, {
+    method:  'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body:    JSON.stringify(body),
+  });
+}
+
+function reading(minute, hall) {
+  return {
+    device:      DEVICE,
+    timestamp:   `2026-01-01T00:${minute}:00Z`,
+    hvac_action: 'idle',
+    data:        { 'TEMPERATURE SENSORS': { Hall: hall } },
+  };
+}
+
+async function storedTimes() {
+  const { rows } = await (await fetch(`${server.url}/api/readings?device=${DEVICE}`)).json();
+  return rows.map(r => r.timestamp);
+}
+
+test('the valid readings of a batch are stored and the invalid ones listed', async () => {
+  const resp = await postBatch({
+    readings: [reading('00', 68), { device: DEVICE, timestamp: 'soon' }, reading('10', 'warm'), reading('15', 69)],
+  });
+  assert.equal(resp.status, 200);
+  const body = await resp.json();
+  assert.equal(body.readings, 2);
+  assert.equal(body.inserted, 2);
+  assert.deepEqual(body.rejected.map(r => r.index), [1, 2]);
+  assert.match(body.rejected[1].error, /must be a number/);
+
+  assert.deepEqual(await storedTimes(), ['2026-01-01T00:00:00.000Z', '2026-01-01T00:15:00.000Z']);
+});
+
+test('a batch sent again adds nothing', async () => {
+  const resp = await postBatch({ readings: [reading('00', 70), reading('15', 71)] });
+  assert.equal(resp.status, 200);
+  assert.deepEqual((await resp.json()).rejected, []);
+
+  const { rows } = await (await fetch(`${server.url}/api/readings?device=${DEVICE}`)).json();
+  assert.deepEqual(rows.map(r => r.values['TEMPERATURE SENSORS'].Hall), [68, 69]);
+});
+
+test('a body without a readings array is refused', async () => {
+  assert.equal((await postBatch({ readings: reading('20', 70) })).status, 400);
+});
@@ -0,0 +1,91 @@
+/**
+ * nest-logger — test/export.test.js — GET /api/export and query parameters.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const assert = require('node:assert/strict');
+const test   = require('node:test');
+const { scratchDbPath, startServer } = require('./helpers');
+
+const DEVICE = 'DEVICE_A';
+
+let server;
+
+test.before(async () => {
+  server = await startServer(scratchDbPath());
+  for (const [minute, hall] of [['00', 68], ['05', 68.5], ['10', 69]]) {
+    const resp = await fetch(`${server.url}/api/readings`, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({
+        device:      DEVICE,
+        timestamp:   `2026-01-01T00:${minute}:00Z`,
+        hvac_action: 'heat',
+        data:        { 'TEMPERATURE SENSORS': { Hall: hall }, 'OUTSIDE TEMP.': { Seattle: 40 } },
+      }),
+    });
+    assert.equal(resp.status, 200);
+  }
+});
+
+test.after(() => server.stop());
+
+test('a CSV export has a column per sensor, named as the chart shows it', async () => {
+  const resp = await fetch(`${server.url}/api/export?device=${DEVICE}`);
+  assert.equal(resp.status, 200);
+  assert.match(resp.headers.get('Content-Disposition'), /nest-DEVICE_A-2026-01-01-to-2026-01-01\.csv/);
+  assert.equal(await resp.text(), [
+    'timestamp,TEMPERATURE SENSORS/Hall,OUTSIDE TEMP./Weather,hvac_action',
+    '2026-01-01T00:00:00.000Z,68,40,heat',
+    '2026-01-01T00:05:00.000Z,68.5,40,heat',
+    '2026-01-01T00:10:00.000Z,69,40,heat',
+    '',
+  ].join('\n'));
+});
+
+test('a JSON export holds a record per value within the window', async () => {
+  const resp = await fetch(
+    `${server.url}/api/export?device=${DEVICE}&format=json&from=2026-01-01T00:05:00Z&to=2026-01-01T00:05:00Z`);
+  assert.equal(resp.status, 200);
+  const records = await resp.json();
+  assert.deepEqual(records.map(r => [r.timestamp, r.sensor, r.value]), [
+    ['2026-01-01T00:05:00.000Z', 'Hall',    68.5],
+    ['2026-01-01T00:05:00.000Z', 'Weather', 40],
+  ]);
+});
+
+test('a thermostat with no readings exports just the header', async () => {
+  const resp = await fetch(`${server.url}/api/export?device=DEVICE_NONE`);
+  assert.equal(resp.status, 200);
+  assert.equal(await resp.text(), 'timestamp,hvac_action\n');
+});
+
+test('bad export parameters are refused', async () => {
+  for (const query of ['format=xml', 'from=yesterday', 'interval=-5m']) {
+    const resp = await fetch(`${server.url}/api/export?${query}`);
+    assert.equal(resp.status, 400, query);
+  }
+});
+
+test('a repeated query parameter is refused on every route, not crashed on', async () => {
+  for (const route of ['export', 'readings', 'analytics', 'faults', 'thermal', 'sensors']) {
+    const resp = await fetch(`${server.url}/api/${route}?device=a&device=b`);
+    assert.equal(resp.status, 400, route);
+    assert.deepEqual(await resp.json(), { error: 'device must be given at most once.' });
+  }
+  // Still up.
+  assert.equal((await fetch(`${server.url}/api/export`)).status, 200);
+});
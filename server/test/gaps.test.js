@@ -0,0 +1,97 @@
+/**
+ * nest-logger — test/gaps.test.js — outages in the readings and HVAC time.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const assert = require('node:assert/strict');
+const test   = require('node:test');
+const { startServer, useScratchDb } = require('./helpers');
+
+const dbPath = useScratchDb();
+const db     = require('../db');
+const { HOUR_MS, rollUp } = require('../rollups');
+const { queryGaps } = require('../gaps');
+
+// With no heartbeat, the extension is taken to poll every 5 minutes, and
+// three polls without a reading make a gap.
+const POLL_MS      = 5 * 60_000;
+const THRESHOLD_MS = 3 * POLL_MS;
+
+const at = (hhmm) => Date.parse(`2026-01-01T${hhmm}:00.000Z`);
+
+/**
+ * Records a reading every poll from `from` to `to` (inclusive), with an HVAC
+ * state if `action` is given.
+ */
+function record(device, from, to, action = null) {
+  db.prepare(`INSERT OR IGNORE INTO devices (id) VALUES (?)`).run(device);
+  for (let t = at(from); t <= at(to); t += POLL_MS) {
+    const timestamp = new Date(t).toISOString();
+    db.prepare(`
+      INSERT INTO sensor_readings (device, timestamp, section, sensor, value) VALUES (?, ?, 'INSIDE TEMP.', 'Hall', 68)
+    `).run(device, timestamp);
+    if (action) {
+      db.prepare(`INSERT INTO hvac_states (device, timestamp, action) VALUES (?, ?, ?)`).run(device, timestamp, action);
+    }
+  }
+}
+
+test('an outage longer than the threshold is a gap; a missed poll is not', () => {
+  record('DEVICE_GAPS', '00:00', '01:00');
+  record('DEVICE_GAPS', '01:10', '02:00');
+  record('DEVICE_GAPS', '05:00', '06:00');
+
+  assert.deepEqual(queryGaps({ device: 'DEVICE_GAPS', thresholdMs: THRESHOLD_MS }), [
+    { start: '2026-01-01T02:00:00.000Z', end: '2026-01-01T05:00:00.000Z', duration_s: 3 * 60 * 60 },
+  ]);
+  assert.deepEqual(queryGaps({
+    device: 'DEVICE_GAPS', fromMs: at('05:30'), toMs: at('06:00'), thresholdMs: THRESHOLD_MS,
+  }), []);
+});
+
+test('HVAC time stops at the gap threshold', () => {
+  record('DEVICE_HEAT', '00:00', '01:00', 'heat');
+  record('DEVICE_HEAT', '04:00', '05:00', 'heat');
+  rollUp();
+
+  const heat = new Map(db.prepare(`
+    SELECT bucket, heat_s FROM hvac_rollups WHERE device = ? AND resolution = ?
+  `).raw().all('DEVICE_HEAT', HOUR_MS));
+  assert.equal(heat.get('2026-01-01T00:00:00.000Z'), 3600);
+  // The state at 01:00 lasts until the threshold, not until 04:00.
+  assert.equal(heat.get('2026-01-01T01:00:00.000Z'), THRESHOLD_MS / 1000);
+  assert.equal(heat.get('2026-01-01T02:00:00.000Z') ?? 0, 0);
+  assert.equal(heat.get('2026-01-01T03:00:00.000Z') ?? 0, 0);
+  assert.equal(heat.get('2026-01-01T04:00:00.000Z'), 3600);
+});
+
+test('the chart carries no HVAC state across a gap', async () => {
+  record('DEVICE_CARRY', '00:00', '01:00', 'heat');
+  // Imported history can have readings without a state.
+  record('DEVICE_CARRY', '04:00', '05:00');
+  rollUp();
+
+  const server = await startServer(dbPath);
+  try {
+    const { rows, gaps } = await (await fetch(`${server.url}/api/readings?device=DEVICE_CARRY`)).json();
+    assert.equal(gaps.length, 1);
+    for (const row of rows) {
+      assert.equal(row.hvac_action, Date.parse(row.timestamp) <= at('01:00') ? 'heat' : null, row.timestamp);
+    }
+  } finally {
+    await server.stop();
+  }
+});
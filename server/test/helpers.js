@@ -0,0 +1,120 @@
+/**
+ * nest-logger — test/helpers.js — scratch databases and servers for tests.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * test/helpers.js — scratch databases and servers for tests.
+ *
+ * db.js opens NEST_LOGGER_DB when it is first required, and node --test runs
+ * each file in its own process, so a file that requires server modules
+ * directly calls useScratchDb() before it does.  Tests of the HTTP API start
+ * server.js in a child process instead.
+ */
+
+const { execFileSync, spawn } = require('child_process');
+const fs   = require('fs');
+const net  = require('net');
+const os   = require('os');
+const path = require('path');
+
+const SERVER_DIR = path.join(__dirname, '..');
+
+// How long server.js gets to start listening.
+const START_TIMEOUT_MS = 10_000;
+
+/** A path for a new database in a directory removed when the process exits. */
+function scratchDbPath() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nest-logger-test-'));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'nest.db');
+}
+
+/** Points db.js at a new database; call before requiring any server module. */
+function useScratchDb() {
+  const dbPath = scratchDbPath();
+  process.env.NEST_LOGGER_DB = dbPath;
+  return dbPath;
+}
+
+/** Migrates the database at dbPath in another process, as any script would. */
+function migrate(dbPath) {
+  execFileSync(process.execPath, ['-e', "require('./db')"], {
+    cwd:   SERVER_DIR,
+    env:   { ...process.env, NEST_LOGGER_DB: dbPath },
+    stdio: 'pipe',
+  });
+}
+
+/** A port nothing is listening on right now. */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Starts server.js on the database at dbPath.  Resolves with { url, stop,
+ * output }, where output() is everything it has logged so far.
+ */
+async function startServer(dbPath, env = {}) {
+  const port  = await freePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd:   SERVER_DIR,
+    env:   { ...process.env, ...env, NEST_LOGGER_DB: dbPath, NEST_LOGGER_PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  child.stdout.on('data', (chunk) => { output += chunk; });
+  child.stderr.on('data', (chunk) => { output += chunk; });
+
+  const stop = () => new Promise((resolve) => {
+    if (child.exitCode !== null) return resolve();
+    child.once('exit', () => resolve());
+    child.kill();
+  });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server.js didn't start:\n${output}`)), START_TIMEOUT_MS);
+    child.stdout.on('data', () => {
+      if (output.includes('running at')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`server.js exited with status ${code}:\n${output}`));
+    });
+  }).catch(async (err) => {
+    await stop();
+    throw err;
+  });
+
+  return { url: `http://127.0.0.1:${port}`, stop, output: () => output };
+}
+
+module.exports = {
+  migrate,
+  scratchDbPath,
+  startServer,
+  useScratchDb,
+};
@@ -0,0 +1,122 @@
+/**
+ * nest-logger — test/import.test.js — importing history, and rolling it back.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const assert   = require('node:assert/strict');
+const test     = require('node:test');
+const { spawnSync } = require('child_process');
+const fs       = require('fs');
+const path     = require('path');
+const Database = require('better-sqlite3');
+const { migrate, scratchDbPath } = require('./helpers');
+
+const DEVICE = 'DEVICE_A';
+
+const dbPath  = scratchDbPath();
+const csvPath = path.join(path.dirname(dbPath), 'history.csv');
+
+/** Runs import.js with args; returns { status, stdout, stderr }. */
+function runImport(...args) {
+  return spawnSync(process.execPath, ['import.js', ...args], {
+    cwd:      path.join(__dirname, '..'),
+    env:      { ...process.env, NEST_LOGGER_DB: dbPath },
+    encoding: 'utf8',
+  });
+}
+
+/** Runs fn on an open connection to the database and returns its result. */
+function inspect(fn) {
+  const db = new Database(dbPath);
+  try {
+    return fn(db);
+  } finally {
+    db.close();
+  }
+}
+
+const readings = () => inspect(db => db.prepare(`
+  SELECT timestamp, value, import_batch FROM sensor_readings WHERE device = ? ORDER BY timestamp
+`).all(DEVICE));
+
+const rollupSamples = () => inspect(db => db.prepare(`
+  SELECT SUM(samples) FROM sensor_rollups WHERE device = ? AND resolution = 3600000
+`).pluck().get(DEVICE));
+
+test.before(() => {
+  migrate(dbPath);
+  // What the extension recorded before the import.
+  inspect(db => db.exec(`
+    INSERT INTO devices (id) VALUES ('${DEVICE}');
+    INSERT INTO sensor_readings (device, timestamp, section, sensor, value)
+      VALUES ('${DEVICE}', '2026-01-01T00:00:00.000Z', 'INSIDE TEMP.', 'Hall', 70);
+  `));
+  fs.writeFileSync(csvPath, [
+    'timestamp,INSIDE TEMP./Hall,hvac_action',
+    '2026-01-01T00:00:00.000Z,68,heat',
+    '2026-01-01T00:05:00.000Z,69,idle',
+    '',
+  ].join('\n'));
+});
+
+test('a dry run writes nothing', () => {
+  const { status, stdout } = runImport('--dry-run', '--device', DEVICE, '--batch', 'dry', csvPath);
+  assert.equal(status, 0);
+  assert.match(stdout, /Would add 1 reading value\(s\) and 2 HVAC state\(s\); 1 already stored\./);
+  assert.equal(readings().length, 1);
+  assert.equal(inspect(db => db.prepare(`SELECT COUNT(*) FROM imports`).pluck().get()), 0);
+});
+
+test('readings already stored are kept and counted as duplicates', () => {
+  const { status, stdout } = runImport('--device', DEVICE, '--batch', 'first', csvPath);
+  assert.equal(status, 0);
+  assert.match(stdout, /Added 1 reading value\(s\) and 2 HVAC state\(s\); 1 already stored\./);
+  assert.deepEqual(readings(), [
+    { timestamp: '2026-01-01T00:00:00.000Z', value: 70, import_batch: null },
+    { timestamp: '2026-01-01T00:05:00.000Z', value: 69, import_batch: 'first' },
+  ]);
+  assert.equal(rollupSamples(), 2);
+
+  const again = runImport('--device', DEVICE, '--batch', 'second', csvPath);
+  assert.equal(again.status, 0);
+  assert.match(again.stdout, /Added 0 reading value\(s\) and 0 HVAC state\(s\); 4 already stored\./);
+  assert.equal(readings().length, 2);
+  assert.equal(rollupSamples(), 2);
+});
+
+test('a batch name can only be used once', () => {
+  const { status, stderr } = runImport('--device', DEVICE, '--batch', 'first', csvPath);
+  assert.equal(status, 1);
+  assert.match(stderr, /Batch "first" already exists/);
+});
+
+test('a rollback removes just its batch and rebuilds the rollups', () => {
+  const { status, stdout } = runImport('--rollback', 'first');
+  assert.equal(status, 0);
+  assert.match(stdout, /removed 1 reading value\(s\) and 2 HVAC state\(s\)/);
+  assert.deepEqual(readings(), [
+    { timestamp: '2026-01-01T00:00:00.000Z', value: 70, import_batch: null },
+  ]);
+  assert.equal(inspect(db => db.prepare(`SELECT COUNT(*) FROM hvac_states`).pluck().get()), 0);
+  assert.equal(rollupSamples(), 1);
+  assert.deepEqual(inspect(db => db.prepare(`SELECT batch FROM imports`).pluck().all()), ['second']);
+});
+
+test('rolling back an unknown batch is an error', () => {
+  const { status, stderr } = runImport('--rollback', 'nonesuch');
+  assert.equal(status, 1);
+  assert.match(stderr, /No import batch named "nonesuch"/);
+});
@@ -0,0 +1,128 @@
+/**
+ * nest-logger — test/migrations.test.js — schema migrations.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const assert   = require('node:assert/strict');
+const test     = require('node:test');
+const Database = require('better-sqlite3');
+const { migrate, scratchDbPath } = require('./helpers');
+
+// A database as the original, unversioned db.js left it: two outside
+// sensors, which its queries showed as a single 'Weather' line.
+function createV0() {
+  const dbPath = scratchDbPath();
+  const db     = new Database(dbPath);
+  db.exec(`
+    CREATE TABLE sensor_readings (
+      timestamp  TEXT NOT NULL,
+      section    TEXT NOT NULL,
+      sensor     TEXT NOT NULL,
+      value      REAL NOT NULL,
+      PRIMARY KEY (timestamp, section, sensor)
+    );
+    CREATE TABLE hvac_states (
+      timestamp  TEXT PRIMARY KEY,
+      action     TEXT NOT NULL
+    );
+    CREATE INDEX idx_sr_timestamp ON sensor_readings(timestamp);
+    CREATE TABLE annotations (
+      timestamp  TEXT PRIMARY KEY,
+      note       TEXT NOT NULL
+    );
+
+    INSERT INTO sensor_readings VALUES
+      ('2026-01-01T00:00:00.000Z', 'OUTSIDE TEMP.', 'Seattle',     41),
+      ('2026-01-01T00:00:00.000Z', 'INSIDE TEMP.',  'Living Room', 68),
+      ('2026-01-02T00:00:00.000Z', 'OUTSIDE TEMP.', 'Outside',     40),
+      ('2026-01-02T00:00:00.000Z', 'INSIDE TEMP.',  'Living Room', 67);
+    INSERT INTO hvac_states VALUES ('2026-01-01T00:00:00.000Z', 'heating');
+    INSERT INTO annotations VALUES ('2026-01-01T00:00:00.000Z', 'New year');
+  `);
+  db.close();
+  return dbPath;
+}
+
+/** Runs fn on an open connection to dbPath and returns its result. */
+function inspect(dbPath, fn) {
+  const db = new Database(dbPath);
+  try {
+    return fn(db);
+  } finally {
+    db.close();
+  }
+}
+
+function outsideSensors(db) {
+  return db.prepare(`
+    SELECT name, display_name, alias_of FROM sensors
+    WHERE device = '' AND section = 'OUTSIDE TEMP.'
+    ORDER BY name
+  `).all();
+}
+
+const NAMED = [
+  { name: 'Outside', display_name: null,      alias_of: 'Seattle' },
+  { name: 'Seattle', display_name: 'Weather', alias_of: null },
+];
+
+test('a v0 database migrates to the latest version with its rows', () => {
+  const dbPath = createV0();
+  migrate(dbPath);
+  inspect(dbPath, (db) => {
+    assert.ok(db.pragma('user_version', { simple: true }) > 0);
+    assert.equal(db.prepare('SELECT COUNT(*) FROM sensor_readings').pluck().get(), 4);
+    assert.deepEqual(
+      db.prepare('SELECT timestamp, note FROM annotations').all(),
+      [{ timestamp: '2026-01-01T00:00:00.000Z', note: 'New year' }]
+    );
+  });
+});
+
+test('the first outside sensor is named Weather, with the others merged into it', () => {
+  const dbPath = createV0();
+  migrate(dbPath);
+  inspect(dbPath, db => assert.deepEqual(outsideSensors(db), NAMED));
+});
+
+test('migration 13 names Weather where migration 11 found no rollups', () => {
+  const dbPath = createV0();
+  migrate(dbPath);
+  // As migration 11 left a database upgraded from before rollups existed.
+  inspect(dbPath, (db) => {
+    db.exec(`UPDATE sensors SET display_name = NULL, alias_of = NULL`);
+    db.pragma('user_version = 12');
+  });
+  migrate(dbPath);
+  inspect(dbPath, db => assert.deepEqual(outsideSensors(db), NAMED));
+});
+
+test('migration 13 leaves outside sensors someone has named alone', () => {
+  const dbPath = createV0();
+  migrate(dbPath);
+  inspect(dbPath, (db) => {
+    db.exec(`
+      UPDATE sensors SET display_name = NULL, alias_of = NULL;
+      UPDATE sensors SET display_name = 'Airport' WHERE name = 'Outside';
+    `);
+    db.pragma('user_version = 12');
+  });
+  migrate(dbPath);
+  inspect(dbPath, db => assert.deepEqual(outsideSensors(db), [
+    { name: 'Outside', display_name: 'Airport', alias_of: null },
+    { name: 'Seattle', display_name: null,      alias_of: null },
+  ]));
+});
@@ -0,0 +1,121 @@
+/**
+ * nest-logger — test/rollups.test.js — rollups and raw data retention.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const assert = require('node:assert/strict');
+const test   = require('node:test');
+const { useScratchDb } = require('./helpers');
+
+useScratchDb();
+const db = require('../db');
+const { HOUR_MS, DAY_MS, rollUp, queryPrunedBefore, pruneRaw } = require('../rollups');
+
+function addReading(device, timestamp, value, action = null) {
+  db.prepare(`INSERT OR IGNORE INTO devices (id) VALUES (?)`).run(device);
+  db.prepare(`
+    INSERT INTO sensor_readings (device, timestamp, section, sensor, value) VALUES (?, ?, 'INSIDE TEMP.', 'Hall', ?)
+  `).run(device, timestamp, value);
+  if (action) {
+    db.prepare(`INSERT INTO hvac_states (device, timestamp, action) VALUES (?, ?, ?)`).run(device, timestamp, action);
+  }
+}
+
+function sensorRollup(device, resolution, bucket) {
+  return db.prepare(`
+    SELECT min, mean, max, samples FROM sensor_rollups
+    WHERE device = ? AND resolution = ? AND bucket = ?
+  `).get(device, resolution, bucket);
+}
+
+function hvacRollup(device, resolution, bucket) {
+  return db.prepare(`
+    SELECT heat_s, cool_s, idle_s FROM hvac_rollups
+    WHERE device = ? AND resolution = ? AND bucket = ?
+  `).get(device, resolution, bucket);
+}
+
+test('late readings are merged into the buckets already rolled up', () => {
+  addReading('DEVICE_LATE', '2026-01-01T00:00:00.000Z', 68);
+  addReading('DEVICE_LATE', '2026-01-01T00:05:00.000Z', 70);
+  rollUp();
+  assert.deepEqual(
+    { ...sensorRollup('DEVICE_LATE', HOUR_MS, '2026-01-01T00:00:00.000Z') },
+    { min: 68, mean: 69, max: 70, samples: 2 },
+  );
+
+  addReading('DEVICE_LATE', '2026-01-01T00:30:00.000Z', 72);
+  rollUp();
+  for (const [resolution, bucket] of [[HOUR_MS, '2026-01-01T00:00:00.000Z'], [DAY_MS, '2026-01-01T00:00:00.000Z']]) {
+    assert.deepEqual(
+      { ...sensorRollup('DEVICE_LATE', resolution, bucket) },
+      { min: 68, mean: 70, max: 72, samples: 3 },
+    );
+  }
+  assert.equal(db.prepare(`SELECT COUNT(*) FROM sensor_readings WHERE rolled = 0`).pluck().get(), 0);
+});
+
+test('a new HVAC state ends the one before it', () => {
+  addReading('DEVICE_HVAC', '2026-01-01T00:00:00.000Z', 68, 'heat');
+  addReading('DEVICE_HVAC', '2026-01-01T00:10:00.000Z', 69, 'idle');
+  rollUp();
+  // The last state is still open, so it isn't counted yet.
+  assert.deepEqual(
+    { ...hvacRollup('DEVICE_HVAC', HOUR_MS, '2026-01-01T00:00:00.000Z') },
+    { heat_s: 600, cool_s: 0, idle_s: 0 },
+  );
+
+  addReading('DEVICE_HVAC', '2026-01-01T00:15:00.000Z', 69, 'cool');
+  rollUp();
+  assert.deepEqual(
+    { ...hvacRollup('DEVICE_HVAC', DAY_MS, '2026-01-01T00:00:00.000Z') },
+    { heat_s: 600, cool_s: 0, idle_s: 300 },
+  );
+});
+
+test('pruning keeps the rollups and compacts states to changes', () => {
+  const day   = new Date();
+  day.setUTCMonth(day.getUTCMonth() - 3);
+  const start = Math.floor(day.getTime() / DAY_MS) * DAY_MS;
+  const at    = (minutes) => new Date(start + minutes * 60_000).toISOString();
+  addReading('DEVICE_OLD', at(0),  66, 'heat');
+  addReading('DEVICE_OLD', at(5),  67, 'heat');
+  addReading('DEVICE_OLD', at(10), 68, 'idle');
+  const recent = new Date().toISOString();
+  addReading('DEVICE_OLD', recent, 70, 'idle');
+  rollUp();
+  const rolledUp = { ...hvacRollup('DEVICE_OLD', HOUR_MS, at(0)) };
+
+  const removed = pruneRaw(1);
+  assert.equal(queryPrunedBefore(), removed.cutoff);
+  assert.equal(removed.hvac, 1);
+
+  assert.deepEqual(
+    db.prepare(`SELECT timestamp FROM sensor_readings WHERE device = 'DEVICE_OLD'`).pluck().all(),
+    [recent],
+  );
+  assert.deepEqual(
+    db.prepare(`SELECT action FROM hvac_states WHERE device = 'DEVICE_OLD' ORDER BY timestamp`).pluck().all(),
+    ['heat', 'idle', 'idle'],
+  );
+  assert.deepEqual(
+    { ...sensorRollup('DEVICE_OLD', HOUR_MS, at(0)) },
+    { min: 66, mean: 67, max: 68, samples: 3 },
+  );
+  assert.deepEqual({ ...hvacRollup('DEVICE_OLD', HOUR_MS, at(0)) }, rolledUp);
+  // Idle lasts until the gap threshold, not until the recent reading.
+  assert.deepEqual(rolledUp, { heat_s: 600, cool_s: 0, idle_s: 900 });
+});
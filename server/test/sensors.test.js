@@ -0,0 +1,72 @@
+/**
+ * nest-logger — test/sensors.test.js — sensor display rules.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const assert = require('node:assert/strict');
+const test   = require('node:test');
+const { scratchDbPath, startServer } = require('./helpers');
+
+const DEVICE = 'DEVICE_A';
+
+let server;
+
+test.before(async () => {
+  server = await startServer(scratchDbPath());
+  const resp = await send('POST', '/api/readings', {
+    device:      DEVICE,
+    timestamp:   '2026-01-01T00:00:00Z',
+    hvac_action: 'idle',
+    data:        { 'TEMPERATURE SENSORS': { Hall: 68, Hallway: 69 } },
+  });
+  assert.equal(resp.status, 200);
+});
+
+test.after(() => server.stop());
+
+function send(method, path, body) {
+  return fetch(`${server.url}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body:    body === undefined ? undefined : JSON.stringify(body),
+  });
+}
+
+async function sensors() {
+  return (await (await send('GET', `/api/sensors?device=${DEVICE}`)).json()).sensors;
+}
+
+test('a sensor merged into another is shown as that one', async () => {
+  const hall = (await sensors()).find(s => s.name === 'Hall');
+  const resp = await send('PUT', `/api/sensors/${hall.id}`, { alias_of: 'Hallway' });
+  assert.equal(resp.status, 200);
+
+  const { groups } = await (await send('GET', `/api/readings?device=${DEVICE}`)).json();
+  assert.deepEqual(groups.flatMap(g => g.sensors.map(s => s.name)), ['Hallway']);
+});
+
+test('merging into a sensor that doesn\'t exist is refused', async () => {
+  const hall = (await sensors()).find(s => s.name === 'Hall');
+  const resp = await send('PUT', `/api/sensors/${hall.id}`, { alias_of: 'Attic' });
+  assert.equal(resp.status, 400);
+});
+
+test('an id that isn\'t a positive integer is refused', async () => {
+  for (const id of ['abc', '0', '1.5']) {
+    assert.equal((await send('PUT', `/api/sensors/${id}`, {})).status, 400, id);
+  }
+  assert.equal((await send('PUT', '/api/sensors/999', {})).status, 404);
+});
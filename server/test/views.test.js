@@ -0,0 +1,55 @@
+/**
+ * nest-logger — test/views.test.js — the saved view routes.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const assert = require('node:assert/strict');
+const test   = require('node:test');
+const { scratchDbPath, startServer } = require('./helpers');
+
+let server;
+
+test.before(async () => {
+  server = await startServer(scratchDbPath());
+});
+
+test.after(() => server.stop());
+
+function send(method, path, body) {
+  return fetch(`${server.url}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body:    body === undefined ? undefined : JSON.stringify(body),
+  });
+}
+
+test('saving under an existing name replaces the view', async () => {
+  const first  = await (await send('POST', '/api/views', { name: 'Winter', state: '#range=7d' })).json();
+  const second = await (await send('POST', '/api/views', { name: 'Winter', state: 'range=30d' })).json();
+  assert.equal(second.view.id, first.view.id);
+
+  const { views } = await (await send('GET', '/api/views')).json();
+  assert.deepEqual(views.map(v => [v.name, v.state]), [['Winter', 'range=30d']]);
+
+  assert.equal((await send('DELETE', `/api/views/${first.view.id}`)).status, 200);
+  assert.equal((await send('DELETE', `/api/views/${first.view.id}`)).status, 404);
+});
+
+test('an id that isn\'t a positive integer is refused', async () => {
+  for (const id of ['abc', '0', '1.5']) {
+    assert.equal((await send('DELETE', `/api/views/${id}`)).status, 400, id);
+  }
+});
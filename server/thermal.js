@@ -0,0 +1,292 @@
+/**
+ * nest-logger — thermal.js — how fast each room loses and gains heat.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * thermal.js — how fast each room loses and gains heat.
+ *
+ * A simple thermal model per indoor temperature sensor, month by month:
+ *
+ *   loss     While the system is idle, a room drifts toward the outside
+ *            temperature at a rate proportional to the difference,
+ *            dT/dt = -k (T - T_outside).  k (per hour) is fitted by least
+ *            squares over the idle stretches; a better insulated room has
+ *            a smaller k and a longer time constant 1/k.
+ *   warm-up  While heating runs, how fast the room's temperature rises, and
+ *            that rate with the month's loss added back: the heat the
+ *            system delivers to the room, independent of the weather.
+ *
+ * Comparing a room's figures before and after new insulation or windows
+ * shows whether they helped.  The fit ignores sun, wind and people, so
+ * months are only comparable with similar weather; mild stretches, where
+ * the difference is too small to measure against, are left out.
+ *
+ * Runs come from hvac_states (see faults.js) and temperatures from raw
+ * readings, with the outside temperature from the 'OUTSIDE TEMP.' weather
+ * series, so nothing is fitted before the retention period.  Months are
+ * UTC calendar months, and a stretch counts towards the month it starts in.
+ * Nothing is known about the time in gaps between states (see faults.js),
+ * so they're left out, and counted so the panel can say so.
+ */
+
+const db = require('./db');
+const { maxGapMs, reconstructRuns } = require('./faults');
+const { SENSOR_LABEL_SQL, SENSOR_NAME_SQL, SENSOR_RULES_SQL, SENSOR_SHOWN_SQL } = require('./sensors');
+
+const TEMPERATURE_SECTION = 'TEMPERATURE SENSORS';
+const OUTSIDE_SECTION     = 'OUTSIDE TEMP.';
+
+// Heat stored in ducts and radiators keeps warming a room for a while after
+// a run, so the start of each idle stretch is skipped.
+const SETTLE_MS = 15 * 60_000;
+
+// Idle stretches (after settling) and heat runs shorter than these don't
+// move the temperature enough to measure.
+const MIN_IDLE_MS = 45 * 60_000;
+const MIN_HEAT_MS = 10 * 60_000;
+
+// Idle stretches with less than this between inside and outside are left
+// out of the loss fit.
+const MIN_DIFFERENCE_F = 10;
+
+// A month's loss needs this many idle stretches.
+const MIN_IDLE_SAMPLES = 5;
+
+// Outside readings this close to a stretch count towards it; the weather
+// series updates far less often than the sensors.
+const OUTSIDE_TOLERANCE_MS = 90 * 60_000;
+
+/** "2026-01" for a UTC ms time. */
+function monthOf(ms) {
+  return new Date(ms).toISOString().slice(0, 7);
+}
+
+/** The UTC start of the month after a UTC ms time. */
+function nextMonth(ms) {
+  const d = new Date(ms);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+}
+
+/**
+ * Raw readings of device in [fromMs, toMs), as { sensor: { label, times,
+ * values } } for the indoor sensors shown on the chart, merged as there,
+ * and { times, values } for the outside temperature (the average of the
+ * section's sensors at each time).
+ */
+function readingsBetween(device, fromMs, toMs) {
+  const params = {
+    device,
+    from: new Date(fromMs).toISOString(),
+    to:   new Date(toMs).toISOString(),
+  };
+
+  const rooms = {};
+  const indoor = db.prepare(`
+    SELECT r.timestamp, ${SENSOR_NAME_SQL} AS sensor, ${SENSOR_LABEL_SQL} AS label, r.value
+    FROM sensor_readings r
+    ${SENSOR_RULES_SQL}
+    WHERE r.device = @device AND r.section = '${TEMPERATURE_SECTION}'
+      AND r.timestamp >= @from AND r.timestamp < @to AND ${SENSOR_SHOWN_SQL}
+    ORDER BY r.timestamp
+  `).iterate(params);
+  for (const { timestamp, sensor, label, value } of indoor) {
+    rooms[sensor] ??= { label, times: [], values: [] };
+    rooms[sensor].times.push(Date.parse(timestamp));
+    rooms[sensor].values.push(value);
+  }
+
+  const outside = { times: [], values: [] };
+  const outsideRows = db.prepare(`
+    SELECT timestamp, AVG(value) AS value FROM sensor_readings
+    WHERE device = @device AND section = '${OUTSIDE_SECTION}'
+      AND timestamp >= @from AND timestamp < @to
+    GROUP BY timestamp
+    ORDER BY timestamp
+  `).iterate(params);
+  for (const { timestamp, value } of outsideRows) {
+    outside.times.push(Date.parse(timestamp));
+    outside.values.push(value);
+  }
+
+  return { rooms, outside };
+}
+
+/** Index of the first of the sorted times at or after t. */
+function firstAtOrAfter(times, t) {
+  let lo = 0;
+  let hi = times.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (times[mid] < t) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * The least-squares slope (°F per hour) and mean of a series' readings in
+ * [start, end], or null if there are too few of them or they cover too
+ * little of it.
+ */
+function trend(series, start, end) {
+  const first = firstAtOrAfter(series.times, start);
+  const last  = firstAtOrAfter(series.times, end + 1);
+  const n = last - first;
+  if (n < 3 || series.times[last - 1] - series.times[first] < (end - start) / 2) return null;
+
+  let meanT = 0;
+  let meanV = 0;
+  for (let i = first; i < last; i++) {
+    meanT += series.times[i] / n;
+    meanV += series.values[i] / n;
+  }
+  let sumTV = 0;
+  let sumTT = 0;
+  for (let i = first; i < last; i++) {
+    const dt = (series.times[i] - meanT) / 3_600_000;
+    sumTV += dt * (series.values[i] - meanV);
+    sumTT += dt * dt;
+  }
+  return { slope: sumTV / sumTT, mean: meanV };
+}
+
+/** The mean outside temperature around [start, end], or null. */
+function outsideMean(outside, start, end) {
+  const first = firstAtOrAfter(outside.times, start - OUTSIDE_TOLERANCE_MS);
+  const last  = firstAtOrAfter(outside.times, end + OUTSIDE_TOLERANCE_MS + 1);
+  if (last === first) return null;
+  let sum = 0;
+  for (let i = first; i < last; i++) sum += outside.values[i];
+  return sum / (last - first);
+}
+
+const round = (value, places) => (value === null ? null : Number(value.toFixed(places)));
+
+/**
+ * One month's figures for a room from its samples: idle as [{ hours, slope,
+ * difference }], heat as [{ hours, slope, difference }].
+ */
+function fitMonth(month, idle, heat) {
+  // Weighted by length, through the origin: no difference, no drift.
+  let sumSD = 0;
+  let sumDD = 0;
+  let idleHours = 0;
+  for (const { hours, slope, difference } of idle) {
+    sumSD += hours * slope * difference;
+    sumDD += hours * difference * difference;
+    idleHours += hours;
+  }
+  const k = idle.length >= MIN_IDLE_SAMPLES && sumSD < 0 ? -sumSD / sumDD : null;
+
+  let heatHours = 0;
+  let rise      = 0;
+  let gain      = 0;
+  for (const { hours, slope, difference } of heat) {
+    heatHours += hours;
+    rise += hours * slope;
+    if (k !== null) gain += hours * (slope + k * difference);
+  }
+
+  return {
+    month,
+    idle_samples:    idle.length,
+    idle_hours:      round(idleHours, 1),
+    loss_per_h:      round(k, 4),
+    time_constant_h: k === null ? null : Math.round(1 / k),
+    heat_samples:    heat.length,
+    heat_hours:      round(heatHours, 1),
+    warmup_f_per_h:  heat.length ? round(rise / heatHours, 1) : null,
+    gain_f_per_h:    heat.length && k !== null ? round(gain / heatHours, 1) : null,
+  };
+}
+
+/**
+ * Thermal figures for device over [fromMs, toMs) (null = unbounded):
+ *
+ *   { device, months: ['2026-01', …], gaps, gap_threshold_s,
+ *     rooms: [{ sensor, label,
+ *               months: [{ month, idle_samples, idle_hours, loss_per_h,
+ *                          time_constant_h, heat_samples, heat_hours,
+ *                          warmup_f_per_h, gain_f_per_h }] }] }
+ *
+ * loss_per_h is k, the fraction of the inside–outside difference lost per
+ * hour, and time_constant_h is 1/k; both are null for months with too few
+ * idle stretches.  warmup_f_per_h is the average rise while heating (°F per
+ * hour), and gain_f_per_h the same with the month's loss added back.  Each
+ * room lists only the months it has samples in.  Rooms are the sensors
+ * the chart shows, merged and named as there (see sensors.js).  gaps is how
+ * many stretches with no state for more than gap_threshold_s were left out.
+ */
+function queryThermal({ device, fromMs = null, toMs = null }) {
+  const fromIso = fromMs === null ? '' : new Date(fromMs).toISOString();
+  const toIso   = toMs   === null ? '9999' : new Date(toMs).toISOString();
+
+  const allRuns = reconstructRuns(device, fromIso, toIso);
+  const runs    = allRuns.filter(r => r.action !== 'cool');
+  const byMonth = new Map();
+  for (const run of runs) {
+    const start = run.action === 'idle' ? run.start + SETTLE_MS : run.start;
+    if (run.end - start < (run.action === 'idle' ? MIN_IDLE_MS : MIN_HEAT_MS)) continue;
+    const month = monthOf(run.start);
+    if (!byMonth.has(month)) byMonth.set(month, []);
+    byMonth.get(month).push({ action: run.action, start, end: run.end });
+  }
+
+  const rooms = new Map();
+  for (const [month, stretches] of byMonth) {
+    // One month of readings at a time, plus the stretches running over the
+    // end of it.
+    const monthStart = Date.parse(`${month}-01T00:00:00Z`);
+    const monthEnd   = Math.max(nextMonth(monthStart), ...stretches.map(s => s.end + 1));
+    const readings   = readingsBetween(device, monthStart - OUTSIDE_TOLERANCE_MS, monthEnd + OUTSIDE_TOLERANCE_MS);
+
+    for (const [sensor, series] of Object.entries(readings.rooms)) {
+      const idle = [];
+      const heat = [];
+      for (const { action, start, end } of stretches) {
+        const inside = trend(series, start, end);
+        const out    = outsideMean(readings.outside, start, end);
+        if (inside === null || out === null) continue;
+        const sample = { hours: (end - start) / 3_600_000, slope: inside.slope, difference: inside.mean - out };
+        if (action === 'heat') {
+          heat.push(sample);
+        } else if (Math.abs(sample.difference) >= MIN_DIFFERENCE_F) {
+          idle.push(sample);
+        }
+      }
+      if (!idle.length && !heat.length) continue;
+      if (!rooms.has(sensor)) rooms.set(sensor, { label: series.label, months: [] });
+      rooms.get(sensor).months.push(fitMonth(month, idle, heat));
+    }
+  }
+
+  const months = new Set(Array.from(rooms.values()).flatMap(r => r.months.map(m => m.month)));
+  return {
+    device,
+    gaps:            allRuns.filter(r => r.gap_after).length,
+    gap_threshold_s: Math.round(maxGapMs() / 1000),
+    months: Array.from(months).sort(),
+    rooms:  Array.from(rooms, ([sensor, { label, months }]) => ({
+      sensor,
+      label,
+      months: months.sort((a, b) => a.month.localeCompare(b.month)),
+    })).sort((a, b) => a.label.localeCompare(b.label)),
+  };
+}
+
+module.exports = {
+  queryThermal,
+};
@@ -0,0 +1,104 @@
+/**
+ * nest-logger — tokens.js — manage access tokens.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * tokens.js — manage the access tokens auth.js checks.
+ *
+ *   node tokens.js --list
+ *   node tokens.js --add NAME --access ingest | read | write
+ *   node tokens.js --revoke ID
+ *
+ * --add prints the new token once; only its hash is stored, so a lost token
+ * can't be recovered, only revoked and replaced.  The first ingest token
+ * makes the server refuse readings without one, and the first read or write
+ * token does the same for the chart.  Revoking the last one opens it again.
+ *
+ * The running server sees changes on its next request.
+ */
+
+const { parseArgs } = require('util');
+const db            = require('./db');
+const { ACCESS_KINDS, createToken } = require('./auth');
+
+// ── Commands ──────────────────────────────────────────────────────────────────
+
+function listTokens() {
+  const tokens = db.prepare(`SELECT * FROM access_tokens ORDER BY id`).all();
+  if (!tokens.length) {
+    console.log('No tokens; ingest and the chart are open to anyone who can reach the server.');
+    return;
+  }
+  for (const t of tokens) {
+    console.log(
+      `#${t.id}  ${t.access.padEnd(6)}  ${t.name}  created ${t.created_at}, ` +
+      `last used ${t.last_used_at ?? 'never'}`
+    );
+  }
+}
+
+function addToken(name, access) {
+  if (!name.trim()) throw new Error('NAME must not be empty.');
+  if (!ACCESS_KINDS.includes(access)) {
+    throw new Error(`--access must be one of: ${ACCESS_KINDS.join(', ')}.`);
+  }
+  const { id, token } = createToken(name.trim(), access);
+  console.log(`Added ${access} token #${id} "${name.trim()}":\n\n  ${token}\n`);
+  if (access === 'ingest') {
+    console.log('Enter it on the extension\'s options page.  Readings without it are now refused.');
+  } else {
+    console.log(`Open the chart once at http://<server>/?token=${token} to sign that browser in.`);
+  }
+}
+
+function revokeToken(id) {
+  const token = db.prepare(`SELECT * FROM access_tokens WHERE id = ?`).get(Number(id));
+  if (!token) throw new Error(`No token #${id}; see --list.`);
+  db.prepare(`DELETE FROM access_tokens WHERE id = ?`).run(token.id);
+  console.log(`Revoked ${token.access} token #${token.id} "${token.name}".`);
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+const { values: opts } = parseArgs({
+  options: {
+    'list':   { type: 'boolean', default: false },
+    'add':    { type: 'string' },
+    'access': { type: 'string' },
+    'revoke': { type: 'string' },
+  },
+});
+
+try {
+  if (opts.list) {
+    listTokens();
+  } else if (opts.add !== undefined) {
+    addToken(opts.add, opts.access);
+  } else if (opts.revoke !== undefined) {
+    revokeToken(opts.revoke);
+  } else {
+    console.error('Usage: node tokens.js --list');
+    console.error(`       node tokens.js --add NAME --access ${ACCESS_KINDS.join(' | ')}`);
+    console.error('       node tokens.js --revoke ID');
+    process.exitCode = 2;
+  }
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exitCode = 1;
+}
+
+db.close();
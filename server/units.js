@@ -0,0 +1,67 @@
+/**
+ * nest-logger — units.js — units of stored readings.
+ * Copyright (C) 2026 Joey Parrish
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * units.js — units of stored readings.
+ *
+ * Temperatures are stored in °F whatever unit the Nest account shows, so a
+ * series never mixes units; the chart converts to °C for display.  Each
+ * sensor_readings row records the unit of its stored value.
+ */
+
+// Units a reading may arrive in.
+const UNITS = ['°F', '°C', '%'];
+
+// The unit each is stored in.
+const CANONICAL_UNITS = {
+  '°F': '°F',
+  '°C': '°F',
+  '%':  '%',
+};
+
+// Units of the sections the Nest UI shows, in the order they are returned.
+// Readings sent without a unit (e.g. by older versions of the extension) are
+// assumed to be in these.  Sections not listed here follow in first-seen
+// order.
+const SECTION_UNITS = {
+  'TEMPERATURE SENSORS': '°F',
+  'OUTSIDE TEMP.':       '°F',
+  'INSIDE HUMIDITY':     '%',
+};
+
+function celsiusToFahrenheit(c) {
+  return Math.round((c * 9 / 5 + 32) * 10) / 10;
+}
+
+/**
+ * Converts a value in unit (one of UNITS, or null for the section's default)
+ * to the unit it is stored in.  Returns { value, unit }; unit is null if
+ * unknown.
+ */
+function toCanonical(value, unit, section = null) {
+  unit ??= SECTION_UNITS[section] ?? null;
+  if (unit === '°C') value = celsiusToFahrenheit(value);
+  return { value, unit: unit && CANONICAL_UNITS[unit] };
+}
+
+module.exports = {
+  UNITS,
+  SECTION_UNITS,
+  celsiusToFahrenheit,
+  toCanonical,
+};